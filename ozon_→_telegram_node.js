@@ -5,6 +5,7 @@ import Database from 'better-sqlite3';
 import crypto from 'node:crypto';
 import { setTimeout as sleep } from 'node:timers/promises';
 import pLimit from 'p-limit';
+import { assertLegacySchema } from './src/migrations.js';
 import fs from 'node:fs';
 
 // ================== Config ==================
@@ -89,6 +90,7 @@ const writeLog = (record) => {
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('synchronous = NORMAL');
+assertLegacySchema(db, DB_PATH);
 
 db.exec(`
 CREATE TABLE IF NOT EXISTS chats (
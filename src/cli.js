@@ -0,0 +1,126 @@
+// Командная строка поверх src/main.js — без бота и бесконечного цикла:
+//   node src/cli.js scan --once [--account=shop1] [--notify]
+//   node src/cli.js show SKU-1
+//   node src/cli.js reset-baseline [SKU-1 SKU-2] [--account=shop1]
+//   node src/cli.js export products xlsx prefix=SKU- out=dims.xlsx
+// Без --notify уведомления только печатаются, TELEGRAM_BOT_TOKEN не нужен.
+// scan рядом с работающим ботом на той же БД безопасен: скан, который ещё
+// ведёт бот, не продолжается — аккаунт пропускается с ошибкой «уже идёт».
+// export — это src/export-cli.js: main.js не импортируется, схема не мигрируется.
+import 'dotenv/config';
+import { runExport } from './export-cli.js';
+
+const USAGE = `Использование: node src/cli.js <команда>
+  scan --once [--account=имя] [--notify]  один скан; изменения — в stdout,
+                                          с --notify — ещё и в чаты/каналы
+  show <offer_id>                         сохранённые размеры товара
+  reset-baseline [offer_id …] [--account=имя]
+                                          сбросить базу сравнения (все товары,
+                                          если offer_id не указаны) без алертов
+  export [аргументы] [out=путь|-]         выгрузка, как /export в боте
+  --verbose                               JSON-логи в stdout`;
+
+const argv = process.argv.slice(2);
+const flags = new Map(
+  argv
+    .filter((a) => a.startsWith('--'))
+    .map((a) => {
+      const [key, value = true] = a.slice(2).split('=');
+      return [key, value];
+    }),
+);
+const [command, ...args] = argv.filter((a) => !a.startsWith('--'));
+
+let app;
+// ошибка в аргументах — к сообщению добавляется справка
+const usageError = (message) =>
+  Object.assign(new Error(message), { usage: true });
+
+const scan = async () => {
+  if (!flags.has('once'))
+    throw usageError('scan без --once — это бот: npm run dev');
+  const notify = flags.has('notify');
+  if (notify && !process.env.TELEGRAM_BOT_TOKEN)
+    throw new Error('--notify: нужен TELEGRAM_BOT_TOKEN');
+  const name = flags.get('account');
+  const accounts = app.stmtEnabledAccounts
+    .all()
+    .filter((a) => !name || a.name === name);
+  if (!accounts.length)
+    throw new Error(
+      name ? `аккаунт ${name} не найден или выключен` : 'нет аккаунтов Ozon',
+    );
+
+  let changes = 0;
+  app.interceptNotifications(
+    ({ body, target }) => {
+      changes += 1;
+      const prefix = target?.account ? `[${target.account}] ` : '';
+      console.log(`${prefix}${app.stripHtml(body)}\n`);
+    },
+    { deliver: notify },
+  );
+  app.applySettings();
+  let failed = 0;
+  for (const account of accounts) {
+    try {
+      await app.scanOnce(account);
+    } catch (e) {
+      failed += 1;
+      const msg = e?.response?.data?.message || e?.message || String(e);
+      console.error(`❌ ${account.name}: ${msg}`);
+    }
+  }
+  if (notify) await app.drainOutbox();
+  console.error(
+    `Аккаунтов: ${accounts.length}, с ошибкой: ${failed}, изменений: ${changes}`,
+  );
+  return failed ? 1 : 0;
+};
+
+const show = async () => {
+  const [offerId] = args;
+  if (!offerId) throw usageError('нужен offer_id');
+  const rows = app.stmtFindProducts.all(offerId);
+  if (!rows.length) throw new Error(`${offerId}: товара нет в БД`);
+  console.log(
+    rows.map((r) => app.stripHtml(app.productCardMessage(r))).join('\n\n'),
+  );
+};
+
+const resetBaseline = async () => {
+  const count = app.txResetBaseline(args, flags.get('account') ?? null);
+  console.log(
+    `База сравнения сброшена у товаров: ${count}. Новую запишет следующий скан (бот или scan --once) — без алертов.`,
+  );
+};
+
+// своя справка и сообщения об ошибках — у runExport
+const exportTable = () => runExport(args);
+
+const COMMANDS = {
+  scan,
+  show,
+  'reset-baseline': resetBaseline,
+  export: exportTable,
+};
+
+if (!COMMANDS[command]) {
+  console.error(
+    command ? `❌ Неизвестная команда ${command}\n\n${USAGE}` : USAGE,
+  );
+  process.exit(command ? 1 : 0);
+}
+
+let code = 0;
+try {
+  // JSON-логи скана смешались бы с выводом изменений
+  if (!flags.has('verbose')) process.env.LOG_TO_CONSOLE = '0';
+  if (command !== 'export') app = await import('./main.js');
+  code = (await COMMANDS[command]()) ?? 0;
+} catch (e) {
+  console.error(`❌ ${e.message}${e.usage ? `\n\n${USAGE}` : ''}`);
+  code = 1;
+}
+// у бота и HTTP-клиентов остаются открытые ресурсы — выходим явно
+process.exit(code);
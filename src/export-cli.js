@@ -0,0 +1,38 @@
+// Выгрузка для cron, без запуска бота:
+//   node src/export-cli.js products xlsx prefix=SKU- out=/srv/reports/dims.xlsx
+//   node src/export-cli.js changes from=2025-01-01 out=- > changes.csv
+// Та же выгрузка — `node src/cli.js export …`: он вызывает runExport отсюда.
+import 'dotenv/config';
+import Database from 'better-sqlite3';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { buildExport, parseExportArgs, EXPORT_USAGE } from './exporter.js';
+import { schemaVersion, SCHEMA_VERSION } from './migrations.js';
+
+const DB_PATH = (process.env.DB_PATH || 'ozon_notifier.db').trim();
+
+// args — аргументы командной строки после имени команды; код выхода
+export const runExport = async (args) => {
+  try {
+    const opts = parseExportArgs(args.join(' '), { extraKeys: ['out'] });
+    const db = new Database(DB_PATH, { fileMustExist: true });
+    // схему не мигрируем — это делает бот; новее известной — колонки могли уйти
+    if (schemaVersion(db) > SCHEMA_VERSION)
+      throw new Error(`${DB_PATH}: схема БД новее этой версии программы`);
+    const { buffer, filename, count } = await buildExport(db, opts);
+    db.close();
+    const out = opts.out || filename;
+    if (out === '-') process.stdout.write(buffer);
+    else fs.writeFileSync(out, buffer);
+    console.error(`${count} строк → ${out === '-' ? 'stdout' : out}`);
+    return 0;
+  } catch (e) {
+    console.error(
+      `❌ ${e.message}\n\n${EXPORT_USAGE}\nout=путь | out=- (stdout)`,
+    );
+    return 1;
+  }
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href)
+  process.exitCode = await runExport(process.argv.slice(2));
@@ -0,0 +1,168 @@
+// Выгрузка товаров и истории изменений в CSV/XLSX — общая для /export в боте
+// и для запуска из cron (src/export-cli.js)
+import ExcelJS from 'exceljs';
+
+export const EXPORT_USAGE = `Параметры (в любом порядке):
+products | changes — что выгружать (по умолчанию products)
+csv | xlsx — формат (по умолчанию csv)
+prefix=SKU- или SKU-* — только offer_id с префиксом
+from=2025-01-01 to=2025-01-31 — период (для товаров — по дате обновления в Ozon)
+account=имя — один аккаунт Ozon`;
+
+// [колонка в БД, заголовок]
+const PRODUCT_COLUMNS = [
+  ['account', 'Аккаунт'],
+  ['offer_id', 'offer_id'],
+  ['product_id', 'product_id'],
+  ['name', 'Название'],
+  ['brand', 'Бренд'],
+  ['depth_mm', 'Длина, мм'],
+  ['width_mm', 'Ширина, мм'],
+  ['height_mm', 'Высота, мм'],
+  ['weight_g', 'Вес, г'],
+  ['volume_l', 'Объём, л'],
+  ['volumetric_weight_kg', 'Объёмный вес, кг'],
+  ['size_class', 'Габаритный класс'],
+  ['volume_tier', 'Ступень объёма'],
+  ['archived', 'В архиве'],
+  ['moderate_status', 'Модерация'],
+  ['updated_at', 'Обновлён в Ozon'],
+  ['first_seen_at', 'Впервые замечен'],
+  ['last_seen_at', 'Последний скан'],
+];
+
+const CHANGE_COLUMNS = [
+  ['changed_at', 'Когда'],
+  ['account', 'Аккаунт'],
+  ['offer_id', 'offer_id'],
+  ['scan_id', 'Скан'],
+  ['kind', 'Тип'],
+  ['field', 'Поле'],
+  ['old_value', 'Было'],
+  ['new_value', 'Стало'],
+];
+
+export const EXPORT_TYPES = {
+  products: {
+    label: 'Товары',
+    table: 'products',
+    columns: PRODUCT_COLUMNS,
+    dateColumn: 'updated_at',
+    order: 'account, offer_id',
+  },
+  changes: {
+    label: 'История изменений',
+    table: 'product_changes',
+    columns: CHANGE_COLUMNS,
+    dateColumn: 'changed_at',
+    order: 'id',
+  },
+};
+const FORMATS = ['csv', 'xlsx'];
+const OPTION_KEYS = ['prefix', 'from', 'to', 'account'];
+
+// "changes xlsx prefix=SKU- from=2025-01-01" → опции; ошибки — текстом для пользователя
+export const parseExportArgs = (input, { extraKeys = [] } = {}) => {
+  const opts = { type: 'products', format: 'csv' };
+  const keys = [...OPTION_KEYS, ...extraKeys];
+  for (const tok of String(input || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)) {
+    const lower = tok.toLowerCase();
+    const eq = tok.indexOf('=');
+    if (EXPORT_TYPES[lower]) opts.type = lower;
+    else if (FORMATS.includes(lower)) opts.format = lower;
+    else if (eq === -1 && tok.endsWith('*')) opts.prefix = tok.slice(0, -1);
+    else if (eq > 0 && keys.includes(lower.slice(0, eq)))
+      opts[lower.slice(0, eq)] = tok.slice(eq + 1);
+    else throw new Error(`Непонятный параметр: ${tok}`);
+  }
+  for (const k of ['from', 'to'])
+    if (opts[k] && !/^\d{4}-\d{2}-\d{2}$/.test(opts[k]))
+      throw new Error(`${k}: дата в формате ГГГГ-ММ-ДД`);
+  return opts;
+};
+
+export const queryExport = (db, opts) => {
+  const def = EXPORT_TYPES[opts.type];
+  const where = [];
+  const params = {};
+  if (opts.prefix) {
+    // substr вместо LIKE — в префиксе бывают «_» и «%»
+    where.push('substr(offer_id, 1, length(@prefix)) = @prefix');
+    params.prefix = opts.prefix;
+  }
+  if (opts.account) {
+    where.push('account = @account');
+    params.account = opts.account;
+  }
+  // даты в БД и ISO, и «YYYY-MM-DD HH:MM:SS» — сравниваем по первым 10 символам
+  if (opts.from) {
+    where.push(`substr(${def.dateColumn}, 1, 10) >= @from`);
+    params.from = opts.from;
+  }
+  if (opts.to) {
+    where.push(`substr(${def.dateColumn}, 1, 10) <= @to`);
+    params.to = opts.to;
+  }
+  const rows = db
+    .prepare(
+      `SELECT ${def.columns.map(([c]) => c).join(', ')} FROM ${def.table}${
+        where.length ? ` WHERE ${where.join(' AND ')}` : ''
+      } ORDER BY ${def.order}`,
+    )
+    .all(params);
+  return { columns: def.columns, rows };
+};
+
+// «;» и BOM — чтобы Excel с русской локалью открыл файл без мастера импорта
+const csvCell = (v) => {
+  if (v == null) return '';
+  const s = String(v);
+  return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (columns, rows) =>
+  '\uFEFF' +
+  [
+    columns.map(([, title]) => csvCell(title)).join(';'),
+    ...rows.map((r) => columns.map(([c]) => csvCell(r[c])).join(';')),
+  ].join('\r\n') +
+  '\r\n';
+
+export const toXlsx = async (columns, rows, sheetName) => {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(sheetName);
+  ws.columns = columns.map(([key, header]) => ({
+    key,
+    header,
+    width: Math.max(12, header.length + 2),
+  }));
+  ws.addRows(rows);
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  return Buffer.from(await wb.xlsx.writeBuffer());
+};
+
+export const exportFilename = (opts, date = new Date()) =>
+  [
+    opts.type,
+    opts.account,
+    opts.prefix,
+    opts.from && `from-${opts.from}`,
+    opts.to && `to-${opts.to}`,
+    date.toISOString().slice(0, 10),
+  ]
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^\p{L}\p{N}._-]+/gu, '-') + `.${opts.format}`;
+
+export const buildExport = async (db, opts) => {
+  const { columns, rows } = queryExport(db, opts);
+  const buffer =
+    opts.format === 'xlsx'
+      ? await toXlsx(columns, rows, EXPORT_TYPES[opts.type].label)
+      : Buffer.from(toCsv(columns, rows));
+  return { buffer, filename: exportFilename(opts), count: rows.length };
+};
@@ -5,6 +5,7 @@ import Database from 'better-sqlite3';
 import crypto from 'node:crypto';
 import { setTimeout as sleep } from 'node:timers/promises';
 import pLimit from 'p-limit';
+import { assertLegacySchema } from './migrations.js';
 
 // ================== Config ==================
 const API_BASE = 'https://api-seller.ozon.ru';
@@ -39,6 +40,7 @@ const DB_PATH = process.env.DB_PATH || 'ozon_notifier.db';
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('synchronous = NORMAL');
+assertLegacySchema(db, DB_PATH);
 
 db.exec(`
 CREATE TABLE IF NOT EXISTS chats (
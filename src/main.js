@@ -10,12 +10,29 @@
 
 import 'dotenv/config';
 import axios from 'axios';
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup } from 'telegraf';
 import Database from 'better-sqlite3';
 import crypto from 'node:crypto';
 import { setTimeout as sleep } from 'node:timers/promises';
 import pLimit from 'p-limit';
 import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import { pathToFileURL } from 'node:url';
+import {
+  buildExport,
+  parseExportArgs,
+  EXPORT_TYPES,
+  EXPORT_USAGE,
+} from './exporter.js';
+import * as metrics from './metrics.js';
+import {
+  parseChannels,
+  createTelegramChannel,
+  createWebhookChannel,
+  createEmailChannel,
+} from './notifiers.js';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
 
 // ================== Helpers ==================
 const parseBool = (v, def = false) => {
@@ -27,33 +44,278 @@ const parseBool = (v, def = false) => {
 };
 
 // ================== Config ==================
-const API_BASE = 'https://api-seller.ozon.ru';
-const HEADERS = {
-  'Client-Id': process.env.OZON_CLIENT_ID || '',
-  'Api-Key': process.env.OZON_API_KEY || '',
-  'Content-Type': 'application/json',
-};
+// переопределяются для локального стенда (test/support)
+const API_BASE = (
+  process.env.OZON_API_BASE || 'https://api-seller.ozon.ru'
+).trim();
+const TELEGRAM_API_ROOT = (process.env.TELEGRAM_API_ROOT || '').trim();
+
+// Кабинеты Ozon: OZON_CLIENT_ID/OZON_API_KEY (имя — OZON_ACCOUNT_NAME) и/или
+// OZON_ACCOUNTS="shop1:client_id:api_key,shop2:client_id:api_key"
+const DEFAULT_ACCOUNT = (process.env.OZON_ACCOUNT_NAME || 'default').trim();
+const CONFIG_ACCOUNTS = [
+  {
+    name: DEFAULT_ACCOUNT,
+    client_id: (process.env.OZON_CLIENT_ID || '').trim(),
+    api_key: (process.env.OZON_API_KEY || '').trim(),
+  },
+  ...(process.env.OZON_ACCOUNTS || '')
+    .split(/[,;\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, client_id, api_key] = entry.split(':').map((x) => x.trim());
+      return { name, client_id, api_key };
+    }),
+].filter((a) => a.name && a.client_id && a.api_key);
+// ID пользователей/чатов Telegram с правом управлять аккаунтами
+const ADMIN_IDS = new Set(
+  (process.env.ADMIN_IDS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean),
+);
 
+// обязателен для бота (run); src/cli.js без уведомлений обходится без него
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
-if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN is required');
-const POLL_INTERVAL_SECONDS = Number(
-  (process.env.POLL_INTERVAL_SECONDS || '60').trim(),
+// Настройки, которые меняются из бота (/settings): значения из .env — по умолчанию,
+// переопределения лежат в таблице settings и применяются со следующего тика
+const TRACKING_MODES = ['DIMENSIONS', 'ATTRIBUTE', 'BOTH'];
+const SCAN_MODES = ['FULL', 'INCREMENTAL'];
+const parseList = (v, lower = false) =>
+  String(v ?? '')
+    .split(',')
+    .map((s) => (lower ? s.trim().toLowerCase() : s.trim()))
+    .filter(Boolean);
+
+let POLL_INTERVAL_SECONDS;
+let TRACK_OFFER_IDS;
+let SIZE_TRACKING_MODE; // DIMENSIONS|ATTRIBUTE|BOTH
+let SIZE_ATTR_PATTERNS;
+let SCAN_MODE; // FULL|INCREMENTAL
+
+// validate — только для значений из бота: .env принимаем как есть
+const RUNTIME_SETTINGS = {
+  POLL_INTERVAL_SECONDS: {
+    label: 'Интервал сканов, с',
+    env: process.env.POLL_INTERVAL_SECONDS || '60',
+    parse: (v) => Number(String(v).trim()),
+    validate: (v) =>
+      Number.isInteger(Number(v)) && Number(v) >= 10
+        ? null
+        : 'целое число секунд, не меньше 10',
+    presets: ['60', '300', '900', '3600'],
+    assign: (v) => (POLL_INTERVAL_SECONDS = v),
+  },
+  SIZE_TRACKING_MODE: {
+    label: 'Режим отслеживания',
+    env: process.env.SIZE_TRACKING_MODE || 'DIMENSIONS',
+    parse: (v) => String(v).trim().toUpperCase(),
+    validate: (v) =>
+      TRACKING_MODES.includes(String(v).trim().toUpperCase())
+        ? null
+        : TRACKING_MODES.join(' | '),
+    presets: TRACKING_MODES,
+    assign: (v) => (SIZE_TRACKING_MODE = v),
+  },
+  SIZE_ATTRIBUTE_PATTERNS: {
+    label: 'Шаблоны атрибутов размера',
+    env:
+      process.env.SIZE_ATTRIBUTE_PATTERNS ||
+      'размер,российский размер,размер производителя,size',
+    parse: (v) => parseList(v, true),
+    validate: (v) =>
+      parseList(v).length ? null : 'список через запятую, хотя бы один',
+    assign: (v) => (SIZE_ATTR_PATTERNS = v),
+  },
+  SCAN_MODE: {
+    label: 'Режим скана',
+    env: process.env.SCAN_MODE || 'FULL',
+    parse: (v) => String(v).trim().toUpperCase(),
+    validate: (v) =>
+      SCAN_MODES.includes(String(v).trim().toUpperCase())
+        ? null
+        : SCAN_MODES.join(' | '),
+    presets: SCAN_MODES,
+    assign: (v) => (SCAN_MODE = v),
+  },
+  TRACK_OFFER_IDS: {
+    label: 'Только эти offer_id',
+    env: process.env.TRACK_OFFER_IDS || '',
+    parse: (v) => parseList(v),
+    validate: () => null,
+    assign: (v) => (TRACK_OFFER_IDS = v),
+  },
+};
+for (const def of Object.values(RUNTIME_SETTINGS))
+  def.assign(def.parse(def.env));
+const TRACK_PRICES = parseBool(process.env.TRACK_PRICES, false);
+const TRACK_STOCKS = parseBool(process.env.TRACK_STOCKS, false);
+const NOTIFY_ON_NEW_PRODUCT = parseBool(
+  process.env.NOTIFY_ON_NEW_PRODUCT,
+  true,
 );
-const TRACK_OFFER_IDS = (process.env.TRACK_OFFER_IDS || '')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean);
-const SIZE_TRACKING_MODE = (process.env.SIZE_TRACKING_MODE || 'DIMENSIONS')
-  .trim()
-  .toUpperCase(); // DIMENSIONS|ATTRIBUTE|BOTH
-const SIZE_ATTR_PATTERNS = (
-  process.env.SIZE_ATTRIBUTE_PATTERNS ||
-  'размер,российский размер,размер производителя,size'
-)
+// сколько сканов подряд товара нет в /v3/product/list, прежде чем считать его пропавшим
+const DISAPPEAR_AFTER_SCANS = Math.max(
+  1,
+  Number((process.env.DISAPPEAR_AFTER_SCANS || '3').trim()) || 3,
+);
+// SCAN_MODE=INCREMENTAL: атрибуты (/v4/product/info/attributes) запрашиваем только
+// у товаров, чей updated_at из /v3/product/info/list сдвинулся; полная сверка —
+// не реже, чем раз в FULL_SCAN_INTERVAL_MINUTES. Экономит только запросы атрибутов,
+// поэтому имеет смысл при SIZE_TRACKING_MODE=ATTRIBUTE|BOTH или подписках на
+// бренды; при DIMENSIONS без них сканы остаются полными
+const FULL_SCAN_INTERVAL_MINUTES = Math.max(
+  1,
+  Number((process.env.FULL_SCAN_INTERVAL_MINUTES || '360').trim()) || 360,
+);
+// прерванный скан (ошибка Ozon, падение, рестарт) продолжается с сохранённого
+// курсора /v3/product/list, если начат не раньше стольких минут назад; 0 — всегда заново
+const SCAN_RESUME_MAX_AGE_MINUTES = Math.max(
+  0,
+  Number((process.env.SCAN_RESUME_MAX_AGE_MINUTES || '360').trim()) || 0,
+);
+// незавершённый скан другого процесса (бот, src/cli.js) считается живым, пока тот
+// отмечается чаще; отметка — после каждой страницы, её обработка должна укладываться
+const SCAN_LOCK_STALE_MINUTES = Math.max(
+  1,
+  Number((process.env.SCAN_LOCK_STALE_MINUTES || '10').trim()) || 10,
+);
+const SCAN_LOCK_OWNER = `${os.hostname()}:${process.pid}`;
+// страниц /v3/product/list, которые скан обрабатывает одновременно
+const SCAN_BATCH_CONCURRENCY = 2;
+// Допуски для габаритов (каждое измерение отдельно) и веса: изменение,
+// укладывающееся в абсолютный ИЛИ процентный допуск, пишется в историю без алерта
+const parseTolerance = (v) => {
+  if (v == null || String(v).trim() === '') return null;
+  const x = Number(String(v).trim().replace(',', '.'));
+  return isFinite(x) && x >= 0 ? x : null;
+};
+const DIM_TOLERANCE = {
+  dims: {
+    abs: parseTolerance(process.env.DIM_TOLERANCE_MM),
+    pct: parseTolerance(process.env.DIM_TOLERANCE_PCT),
+  },
+  weight: {
+    abs: parseTolerance(process.env.WEIGHT_TOLERANCE_G),
+    pct: parseTolerance(process.env.WEIGHT_TOLERANCE_PCT),
+  },
+};
+// Допуски для групп товаров по префиксу offer_id (побеждает самый длинный):
+// TOLERANCE_RULES='{"SHOES-":{"dim_mm":2,"weight_pct":1},"BIG-":{"dim_pct":0.5}}'
+const TOLERANCE_RULES = (() => {
+  const raw = (process.env.TOLERANCE_RULES || '').trim();
+  if (!raw) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`TOLERANCE_RULES: некорректный JSON (${e.message})`);
+  }
+  return Object.entries(parsed)
+    .map(([prefix, r]) => ({
+      prefix,
+      dims: { abs: parseTolerance(r?.dim_mm), pct: parseTolerance(r?.dim_pct) },
+      weight: {
+        abs: parseTolerance(r?.weight_g),
+        pct: parseTolerance(r?.weight_pct),
+      },
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+})();
+// Объёмный вес, кг = объём в см³ / делитель (у Ozon — 5000)
+const VOLUMETRIC_DIVISOR =
+  Number((process.env.VOLUMETRIC_DIVISOR || '5000').trim()) || 5000;
+// Габаритные классы: берётся первый, в ограничения которого товар укладывается.
+// Ограничения: max_side_mm, max_sum_mm, max_weight_g, max_volume_l, max_volumetric_kg;
+// класс без ограничений — «всё остальное». По умолчанию упрощённо: МГТ/КГТ.
+const SIZE_CLASS_KEYS = [
+  'max_side_mm',
+  'max_sum_mm',
+  'max_weight_g',
+  'max_volume_l',
+  'max_volumetric_kg',
+];
+const SIZE_CLASSES = (() => {
+  const raw = (process.env.SIZE_CLASSES || '').trim();
+  let parsed = [
+    { name: 'МГТ', max_side_mm: 1200, max_sum_mm: 2500, max_weight_g: 25000 },
+    { name: 'КГТ' },
+  ];
+  if (raw) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`SIZE_CLASSES: некорректный JSON (${e.message})`);
+    }
+    if (!Array.isArray(parsed) || parsed.some((c) => !c?.name))
+      throw new Error('SIZE_CLASSES: нужен массив объектов с полем name');
+  }
+  return parsed.map((c) => ({
+    name: String(c.name),
+    limits: Object.fromEntries(
+      SIZE_CLASS_KEYS.filter((k) => c[k] != null).map((k) => [k, Number(c[k])]),
+    ),
+  }));
+})();
+// Границы ступеней объёма, л: «до 1 л», «1–3 л», …, «свыше 200 л»
+const VOLUME_TIERS_L = (process.env.VOLUME_TIERS_L || '1,3,5,10,25,50,100,200')
   .split(',')
-  .map((s) => s.trim().toLowerCase())
-  .filter(Boolean);
+  .map((s) => Number(s.trim()))
+  .filter((x) => isFinite(x) && x > 0)
+  .sort((a, b) => a - b);
+// Дайджест (/digest hourly|daily): ежедневный — в этот час по локальному времени
+const DIGEST_DAILY_HOUR = Math.min(
+  23,
+  Math.max(0, Number((process.env.DIGEST_DAILY_HOUR || '9').trim()) || 0),
+);
+// сколько сообщений дайджеста слать текстом — остальное уходит файлом
+const DIGEST_MAX_MESSAGES = Math.max(
+  1,
+  Number((process.env.DIGEST_MAX_MESSAGES || '3').trim()) || 3,
+);
 const DB_PATH = (process.env.DB_PATH || 'ozon_notifier.db').trim();
+// Дополнительные каналы (вебхук, email) и маршрутизация типов изменений по ним —
+// JSON, формат в src/notifiers.js; для email — SMTP_URL и SMTP_FROM
+const NOTIFY_CHANNELS = (process.env.NOTIFY_CHANNELS || '').trim();
+const SMTP_URL = (process.env.SMTP_URL || '').trim();
+const SMTP_FROM = (process.env.SMTP_FROM || '').trim();
+
+// ================== HTTP: /healthz, /metrics, вебхук Telegram ==================
+// TELEGRAM_WEBHOOK_URL задан — апдейты приходят вебхуком вместо long polling.
+// URL — публичный адрес за прокси; TELEGRAM_WEBHOOK_PATH — путь на локальном
+// сервере, если прокси его переписывает (по умолчанию — путь из URL)
+const TELEGRAM_WEBHOOK_URL = (process.env.TELEGRAM_WEBHOOK_URL || '').trim();
+const TELEGRAM_WEBHOOK_PATH = (() => {
+  if (!TELEGRAM_WEBHOOK_URL) return '';
+  let url;
+  try {
+    url = new URL(TELEGRAM_WEBHOOK_URL);
+  } catch {
+    throw new Error('TELEGRAM_WEBHOOK_URL: некорректный URL');
+  }
+  const path = (process.env.TELEGRAM_WEBHOOK_PATH || '').trim() || url.pathname;
+  return path.startsWith('/') ? path : `/${path}`;
+})();
+// Telegram присылает его в X-Telegram-Bot-Api-Secret-Token; без него вебхук
+// принимал бы апдейты от кого угодно, поэтому по умолчанию — производный от токена
+const TELEGRAM_WEBHOOK_SECRET =
+  (process.env.TELEGRAM_WEBHOOK_SECRET || '').trim() ||
+  crypto.createHash('sha256').update(TELEGRAM_BOT_TOKEN).digest('hex');
+if (!/^[A-Za-z0-9_-]{1,256}$/.test(TELEGRAM_WEBHOOK_SECRET))
+  throw new Error(
+    'TELEGRAM_WEBHOOK_SECRET: до 256 символов из A-Z, a-z, 0-9, _ и -',
+  );
+// HTTP_PORT не задан — сервер не поднимается (в режиме вебхука — 8080)
+const HTTP_PORT = (
+  process.env.HTTP_PORT || (TELEGRAM_WEBHOOK_URL ? '8080' : '')
+).trim();
+const HTTP_HOST = (process.env.HTTP_HOST || '0.0.0.0').trim();
+// /healthz отвечает 503, если успешного скана не было дольше N интервалов
+const HEALTH_MAX_MISSED_SCANS = Math.max(
+  1,
+  Number((process.env.HEALTH_MAX_MISSED_SCANS || '3').trim()) || 3,
+);
 
 // ================== Logging ==================
 const LOG_API = parseBool(process.env.LOG_API, true);
@@ -66,6 +328,35 @@ const LOG_MAX_BODY_CHARS = Number(
   (process.env.LOG_MAX_BODY_CHARS || '2000').trim(),
 );
 
+// ================== Ozon: ретраи и лимиты ==================
+const OZON_MAX_RETRIES = Number((process.env.OZON_MAX_RETRIES || '5').trim());
+const OZON_RETRY_BASE_MS = Number(
+  (process.env.OZON_RETRY_BASE_MS || '500').trim(),
+);
+const OZON_RETRY_MAX_MS = Number(
+  (process.env.OZON_RETRY_MAX_MS || '30000').trim(),
+);
+// при x-ratelimit-remaining <= порога ждём сброса окна до следующего запроса
+const OZON_RL_MIN_REMAINING = Number(
+  (process.env.OZON_RL_MIN_REMAINING || '2').trim(),
+);
+
+// ================== Telegram: очередь отправки ==================
+// Bot API: ~30 сообщений в секунду на бота и не чаще раза в секунду в один чат
+const OUTBOX_GLOBAL_PER_SEC = Number(
+  (process.env.OUTBOX_GLOBAL_PER_SEC || '25').trim(),
+);
+const OUTBOX_CHAT_INTERVAL_MS = Number(
+  (process.env.OUTBOX_CHAT_INTERVAL_MS || '1000').trim(),
+);
+const OUTBOX_MAX_ATTEMPTS = Number(
+  (process.env.OUTBOX_MAX_ATTEMPTS || '8').trim(),
+);
+const OUTBOX_RETRY_BASE_MS = 2000;
+const OUTBOX_RETRY_MAX_MS = 10 * 60 * 1000;
+// сколько хранить доставленные сообщения
+const OUTBOX_KEEP_SENT_MS = 7 * 24 * 3600 * 1000;
+
 let logStream = null;
 if (LOG_TO_FILE) {
   try {
@@ -107,37 +398,211 @@ const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('synchronous = NORMAL');
 
-db.exec(`
-CREATE TABLE IF NOT EXISTS chats (
-  chat_id INTEGER PRIMARY KEY
-);
-CREATE TABLE IF NOT EXISTS products (
-  offer_id TEXT PRIMARY KEY,
-  product_id INTEGER,
-  name TEXT,
-  updated_at TEXT,
-  dim_hash TEXT,
-  depth_mm REAL,
-  width_mm REAL,
-  height_mm REAL,
-  weight_g REAL,
-  last_seen_at TEXT
-);
-CREATE INDEX IF NOT EXISTS idx_products_updated_at ON products(updated_at);
+// Схема — пошаговые миграции из src/migrations.js с учётом schema_version;
+// БД от более новой версии программы — отказ стартовать
+migrate(db, {
+  defaultAccount: DEFAULT_ACCOUNT,
+  adminIds: [...ADMIN_IDS],
+  log: (record) => writeLog({ kind: 'db', ...record }),
+});
+
+// ===== Аккаунты =====
+const stmtSyncConfigAccount = db.prepare(`
+INSERT INTO accounts(name, client_id, api_key, source, created_at)
+VALUES(@name,@client_id,@api_key,'config',datetime('now'))
+ON CONFLICT(name) DO UPDATE SET
+  client_id = excluded.client_id,
+  api_key   = excluded.api_key,
+  source    = 'config'
+`);
+const stmtAddAccount = db.prepare(`
+INSERT INTO accounts(name, client_id, api_key, source, created_at)
+VALUES(@name,@client_id,@api_key,'bot',datetime('now'))
+ON CONFLICT(name) DO UPDATE SET
+  client_id = excluded.client_id,
+  api_key   = excluded.api_key,
+  enabled   = 1
 `);
+const stmtAllAccounts = db.prepare('SELECT * FROM accounts ORDER BY name');
+const stmtEnabledAccounts = db.prepare(
+  'SELECT * FROM accounts WHERE enabled = 1 ORDER BY name',
+);
+const stmtGetAccount = db.prepare('SELECT * FROM accounts WHERE name = ?');
+const stmtSetAccountEnabled = db.prepare(
+  'UPDATE accounts SET enabled = ? WHERE name = ?',
+);
+// вместе с аккаунтом — его снимки, история и сканы: иначе они всплывают в
+// /errors и /export, а аккаунт с тем же именем продолжил бы со старой базы
+const ACCOUNT_TABLES = [
+  'products',
+  'product_prices',
+  'product_stocks',
+  'product_changes',
+  'scans',
+];
+const stmtsDelAccountData = ACCOUNT_TABLES.map((t) =>
+  db.prepare(`DELETE FROM ${t} WHERE account = ?`),
+);
+const stmtDelAccount = db.prepare('DELETE FROM accounts WHERE name = ?');
+const txDelAccount = db.transaction((name) => {
+  for (const stmt of stmtsDelAccountData) stmt.run(name);
+  stmtDelAccount.run(name);
+});
+const stmtConfigAccountNames = db.prepare(
+  "SELECT name FROM accounts WHERE source = 'config'",
+);
+const CONFIG_ACCOUNT_NAMES = new Set(CONFIG_ACCOUNTS.map((a) => a.name));
+// конфиг — источник правды для своих аккаунтов: убранный из .env или
+// переименованный аккаунт удаляем, иначе его сканировали бы дальше
+// (после переименования — дважды, с дублями алертов). Пустой конфиг
+// скорее значит запуск без .env (cli.js из другого каталога), чем
+// «удалить всё», — тогда ничего не трогаем, лишнее убирает /delaccount
+db.transaction(() => {
+  for (const a of CONFIG_ACCOUNTS) stmtSyncConfigAccount.run(a);
+  if (!CONFIG_ACCOUNTS.length) return;
+  for (const { name } of stmtConfigAccountNames.all()) {
+    if (CONFIG_ACCOUNT_NAMES.has(name)) continue;
+    txDelAccount(name);
+    writeLog({ kind: 'account', event: 'config_removed', name });
+  }
+})();
 
 const stmtInsertChat = db.prepare(
   'INSERT OR IGNORE INTO chats(chat_id) VALUES (?)',
 );
-const stmtAllChats = db.prepare('SELECT chat_id FROM chats');
+// уведомления получают только одобренные чаты
+const stmtAllChats = db.prepare(
+  "SELECT * FROM chats WHERE status = 'approved'",
+);
+const stmtListChats = db.prepare(
+  "SELECT * FROM chats ORDER BY CASE status WHEN 'pending' THEN 0 WHEN 'approved' THEN 1 ELSE 2 END, chat_id",
+);
+const stmtRequestAccess = db.prepare(`
+INSERT INTO chats(chat_id, status, title, requested_at) VALUES (?, 'pending', ?, datetime('now'))
+ON CONFLICT(chat_id) DO UPDATE SET title = excluded.title, requested_at = excluded.requested_at`);
+// заявка этого чата ещё ждёт решения — админам о ней уже написали
+const stmtPendingRequest = db.prepare(
+  "SELECT 1 FROM chats WHERE chat_id = ? AND status = 'pending' AND requested_at > datetime('now', ?)",
+);
+const stmtGrantAccess = db.prepare(`
+INSERT INTO chats(chat_id, status, role, title) VALUES (@chat_id, 'approved', @role, @title)
+ON CONFLICT(chat_id) DO UPDATE SET status = 'approved', role = excluded.role,
+  title = COALESCE(excluded.title, chats.title)`);
+const stmtBlockChat = db.prepare(
+  "UPDATE chats SET status = 'blocked' WHERE chat_id = ?",
+);
+const stmtAllSettings = db.prepare('SELECT key, value FROM settings');
+const stmtSetSetting = db.prepare(`
+INSERT INTO settings(key, value, updated_at, updated_by) VALUES (?, ?, datetime('now'), ?)
+ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at,
+  updated_by = excluded.updated_by`);
+const stmtDelSetting = db.prepare('DELETE FROM settings WHERE key = ?');
+const stmtAddInvite = db.prepare(
+  "INSERT INTO invites(code, role, created_by, created_at, expires_at) VALUES (?, ?, ?, datetime('now'), datetime('now', ?))",
+);
+const stmtUseInvite = db.prepare(
+  "UPDATE invites SET used_by = ?, used_at = datetime('now') WHERE code = ? AND used_by IS NULL AND expires_at > datetime('now') RETURNING role",
+);
+
+// значения из таблицы settings поверх .env; битое значение — откат к .env
+const settingOverrides = () =>
+  new Map(stmtAllSettings.all().map((r) => [r.key, r.value]));
+
+const applySettings = () => {
+  const overrides = settingOverrides();
+  const prevInterval = POLL_INTERVAL_SECONDS;
+  for (const [key, def] of Object.entries(RUNTIME_SETTINGS)) {
+    const raw = overrides.get(key);
+    if (raw != null && def.validate(raw)) {
+      writeLog({ kind: 'settings', event: 'invalid', key, value: raw });
+      def.assign(def.parse(def.env));
+    } else def.assign(def.parse(raw ?? def.env));
+  }
+  // новый интервал — перепланируем тикер, если он запущен
+  if (POLL_INTERVAL_SECONDS !== prevInterval && scanTimer) startTicker();
+};
+const stmtGetChat = db.prepare('SELECT * FROM chats WHERE chat_id = ?');
+const stmtSetPriceThreshold = db.prepare(
+  'UPDATE chats SET price_threshold_abs = ?, price_threshold_pct = ? WHERE chat_id = ?',
+);
+const stmtSetLowStock = db.prepare(
+  'UPDATE chats SET low_stock_threshold = ? WHERE chat_id = ?',
+);
+const stmtSetDeliveryMode = db.prepare(
+  'UPDATE chats SET delivery_mode = ?, digest_sent_at = ? WHERE chat_id = ?',
+);
+const stmtMarkDigestSent = db.prepare(
+  'UPDATE chats SET digest_sent_at = ? WHERE chat_id = ?',
+);
+const stmtQueueDigest = db.prepare(
+  "INSERT INTO digest_queue(chat_id, type, body, created_at) VALUES (?, ?, ?, datetime('now'))",
+);
+const stmtDigestItems = db.prepare(
+  'SELECT id, type, body FROM digest_queue WHERE chat_id = ? ORDER BY id',
+);
+const stmtDropDigest = db.prepare(
+  'DELETE FROM digest_queue WHERE chat_id = ? AND id <= ?',
+);
+const stmtOutboxAdd = db.prepare(
+  "INSERT INTO outbox(chat_id, method, body, extra, created_at) VALUES (?, ?, ?, ?, datetime('now'))",
+);
+const stmtOutboxAddChannel = db.prepare(
+  "INSERT INTO outbox(channel, chat_id, method, body, created_at) VALUES (?, 0, 'notify', ?, datetime('now'))",
+);
+// по одному самому старому сообщению на чат (канал) — порядок внутри сохраняется
+const stmtOutboxDue = db.prepare(`
+SELECT * FROM outbox
+WHERE id IN (SELECT MIN(id) FROM outbox WHERE status = 'pending' GROUP BY channel, chat_id)
+  AND next_attempt_at <= ?
+ORDER BY id LIMIT ?`);
+const stmtOutboxSent = db.prepare(
+  "UPDATE outbox SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL WHERE id = ?",
+);
+const stmtOutboxRetry = db.prepare(
+  'UPDATE outbox SET attempts = @attempts, next_attempt_at = @next_attempt_at, last_error = @error WHERE id = @id',
+);
+const stmtOutboxFail = db.prepare(
+  "UPDATE outbox SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?",
+);
+const stmtOutboxRequeue = db.prepare(
+  "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = 0 WHERE status = 'failed'",
+);
+const stmtOutboxPrune = db.prepare(
+  "DELETE FROM outbox WHERE status = 'sent' AND sent_at < ?",
+);
+const stmtOutboxStats = db.prepare(
+  'SELECT status, COUNT(1) AS c FROM outbox GROUP BY status',
+);
+const stmtOutboxFailed = db.prepare(
+  "SELECT id, channel, chat_id, method, attempts, last_error, created_at FROM outbox WHERE status = 'failed' ORDER BY id DESC LIMIT ?",
+);
+
+const stmtAddSub = db.prepare(
+  'INSERT OR IGNORE INTO chat_subscriptions(chat_id, kind, value) VALUES (?, ?, ?)',
+);
+const stmtDelSub = db.prepare(
+  'DELETE FROM chat_subscriptions WHERE chat_id = ? AND kind = ? AND value = ?',
+);
+const stmtDelAllSubs = db.prepare(
+  'DELETE FROM chat_subscriptions WHERE chat_id = ?',
+);
+const stmtChatSubs = db.prepare(
+  'SELECT kind, value FROM chat_subscriptions WHERE chat_id = ? ORDER BY kind, value',
+);
+const stmtAllSubs = db.prepare(
+  'SELECT chat_id, kind, value FROM chat_subscriptions',
+);
+const stmtHasBrandSubs = db.prepare(
+  "SELECT 1 FROM chat_subscriptions WHERE kind = 'brand' LIMIT 1",
+);
 
 const stmtGetProd = db.prepare(
-  'SELECT offer_id, updated_at, dim_hash, depth_mm, width_mm, height_mm, weight_g FROM products WHERE offer_id = ?',
+  'SELECT offer_id, updated_at, dim_hash, depth_mm, width_mm, height_mm, weight_g, attr_hash, size_attrs, brand, archived, status, moderate_status, errors, missing_scans FROM products WHERE account = ? AND offer_id = ?',
 );
 const stmtUpsertProd = db.prepare(`
-INSERT INTO products(offer_id, product_id, name, updated_at, dim_hash, depth_mm, width_mm, height_mm, weight_g, last_seen_at)
-VALUES(@offer_id,@product_id,@name,@updated_at,@dim_hash,@depth_mm,@width_mm,@height_mm,@weight_g,datetime('now'))
-ON CONFLICT(offer_id) DO UPDATE SET
+INSERT INTO products(account, offer_id, product_id, name, updated_at, dim_hash, depth_mm, width_mm, height_mm, weight_g, volume_l, volumetric_weight_kg, size_class, volume_tier, attr_hash, size_attrs, brand, archived, status, moderate_status, errors, first_seen_at, last_seen_at, last_scan_id, missing_scans)
+VALUES(@account,@offer_id,@product_id,@name,@updated_at,@dim_hash,@depth_mm,@width_mm,@height_mm,@weight_g,@volume_l,@volumetric_weight_kg,@size_class,@volume_tier,@attr_hash,@size_attrs,@brand,@archived,@status,@moderate_status,@errors,datetime('now'),datetime('now'),@last_scan_id,0)
+ON CONFLICT(account, offer_id) DO UPDATE SET
   product_id = excluded.product_id,
   name       = excluded.name,
   updated_at = excluded.updated_at,
@@ -146,56 +611,1409 @@ ON CONFLICT(offer_id) DO UPDATE SET
   width_mm   = excluded.width_mm,
   height_mm  = excluded.height_mm,
   weight_g   = excluded.weight_g,
-  last_seen_at = excluded.last_seen_at
+  volume_l   = excluded.volume_l,
+  volumetric_weight_kg = excluded.volumetric_weight_kg,
+  size_class = excluded.size_class,
+  volume_tier = excluded.volume_tier,
+  attr_hash  = excluded.attr_hash,
+  size_attrs = excluded.size_attrs,
+  brand      = excluded.brand,
+  archived   = excluded.archived,
+  status     = excluded.status,
+  moderate_status = excluded.moderate_status,
+  errors     = excluded.errors,
+  last_seen_at = excluded.last_seen_at,
+  last_scan_id = excluded.last_scan_id,
+  missing_scans = 0
 `);
+const stmtProductsWithErrors = db.prepare(
+  "SELECT account, offer_id, name, moderate_status, errors FROM products WHERE errors IS NOT NULL AND errors != '[]' ORDER BY account, offer_id",
+);
+const stmtCountProducts = db.prepare(
+  'SELECT COUNT(1) AS c FROM products WHERE account = ?',
+);
+// товары аккаунта, которых не было в этом скане
+// и ещё не посчитанных им пропавшими (этап MISSING продолжается после сбоя)
+const stmtUnseenProducts = db.prepare(
+  'SELECT offer_id, name, brand, missing_scans FROM products WHERE account = @account AND last_scan_id IS NOT @scan_id AND missing_scan_id IS NOT @scan_id',
+);
+const stmtMarkMissing = db.prepare(
+  'UPDATE products SET missing_scans = missing_scans + 1, missing_scan_id = @scan_id WHERE account = @account AND offer_id = @offer_id',
+);
 
-const txUpsertMany = db.transaction((rows) => {
+const stmtScanStart = db.prepare(
+  "INSERT INTO scans(account, mode, baseline, phase, last_id, started_at, locked_by, heartbeat_at) VALUES (@account, @mode, @baseline, 'ALL', '', datetime('now'), @owner, datetime('now'))",
+);
+const stmtGetScan = db.prepare('SELECT * FROM scans WHERE id = ?');
+// скан с незавершённым прогрессом (phase IS NOT NULL) — не больше одного на аккаунт
+const stmtInterruptedScan = db.prepare(`
+SELECT *, CAST(ROUND((julianday('now') - julianday(started_at)) * 86400) AS INTEGER) AS age_s,
+  CAST(ROUND((julianday('now') - julianday(heartbeat_at)) * 86400) AS INTEGER) AS heartbeat_age_s
+FROM scans WHERE account = ? AND phase IS NOT NULL ORDER BY id DESC LIMIT 1`);
+const stmtScanCheckpoint = db.prepare(
+  "UPDATE scans SET phase = @phase, last_id = @last_id, batches_done = @batches_done, offers_done = @offers_done, offers_total = @offers_total, calls_saved = @calls_saved, heartbeat_at = datetime('now') WHERE id = @id",
+);
+const stmtScanResume = db.prepare(
+  "UPDATE scans SET finished_at = NULL, error = NULL, resumed = resumed + 1, locked_by = @owner, heartbeat_at = datetime('now') WHERE id = @id",
+);
+const stmtScanAbandon = db.prepare(
+  "UPDATE scans SET phase = NULL, locked_by = NULL, finished_at = COALESCE(finished_at, datetime('now')), error = COALESCE(error, ?) WHERE id = ?",
+);
+const stmtLastFullScan = db.prepare(`
+SELECT CAST(ROUND((julianday('now') - julianday(finished_at)) * 86400) AS INTEGER) AS age_s
+FROM scans WHERE account = ? AND mode = 'full' AND finished_at IS NOT NULL AND error IS NULL
+ORDER BY id DESC LIMIT 1`);
+const stmtLastScan = db.prepare(`
+SELECT *, CAST(ROUND((julianday(finished_at) - julianday(started_at)) * 86400) AS INTEGER) AS duration_s
+FROM scans WHERE account = ? ORDER BY id DESC LIMIT 1`);
+const stmtLastSuccessScan = db.prepare(`
+SELECT finished_at, CAST(ROUND((julianday('now') - julianday(finished_at)) * 86400) AS INTEGER) AS age_s
+FROM scans WHERE account = ? AND finished_at IS NOT NULL AND error IS NULL ORDER BY id DESC LIMIT 1`);
+// с ошибкой прогресс (phase) остаётся — следующий тик продолжит с курсора
+const stmtScanFinish = db.prepare(
+  "UPDATE scans SET finished_at = datetime('now'), offers = @offers, error = @error, calls_saved = @calls_saved, phase = CASE WHEN @error IS NULL THEN NULL ELSE phase END, locked_by = NULL WHERE id = @id",
+);
+
+const stmtInsertChange = db.prepare(`
+INSERT INTO product_changes(account, offer_id, scan_id, kind, field, old_value, new_value, changed_at)
+VALUES(@account,@offer_id,@scan_id,@kind,@field,@old_value,@new_value,datetime('now'))
+`);
+const stmtCountChanges = db.prepare(
+  'SELECT COUNT(1) AS c FROM product_changes WHERE offer_id = ?',
+);
+const stmtPageChanges = db.prepare(
+  'SELECT * FROM product_changes WHERE offer_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+);
+
+const stmtGetPrice = db.prepare(
+  'SELECT * FROM product_prices WHERE account = ? AND offer_id = ?',
+);
+const stmtUpsertPrice = db.prepare(`
+INSERT INTO product_prices(account, offer_id, price, old_price, min_price, marketing_price, currency, updated_at)
+VALUES(@account,@offer_id,@price,@old_price,@min_price,@marketing_price,@currency,datetime('now'))
+ON CONFLICT(account, offer_id) DO UPDATE SET
+  price           = excluded.price,
+  old_price       = excluded.old_price,
+  min_price       = excluded.min_price,
+  marketing_price = excluded.marketing_price,
+  currency        = excluded.currency,
+  updated_at      = excluded.updated_at
+`);
+
+// снимок товаров и журнал изменений пишем одной транзакцией
+const txSaveBatch = db.transaction((rows, changes) => {
+  for (const c of changes) stmtInsertChange.run(c);
   for (const r of rows) stmtUpsertProd.run(r);
 });
+// сброс базы сравнения: следующий скан запишет габариты, атрибуты и модерацию
+// заново, без алертов и истории (src/cli.js reset-baseline)
+const stmtResetBaseline = db.prepare(`
+UPDATE products SET dim_hash = NULL, attr_hash = NULL, size_attrs = NULL, errors = NULL, updated_at = NULL
+WHERE (@account IS NULL OR account = @account) AND (@offer_id IS NULL OR offer_id = @offer_id)`);
+const txResetBaseline = db.transaction((offerIds, account = null) =>
+  (offerIds.length ? offerIds : [null]).reduce(
+    (n, offer_id) => n + stmtResetBaseline.run({ account, offer_id }).changes,
+    0,
+  ),
+);
+const stmtFindProducts = db.prepare(
+  'SELECT * FROM products WHERE offer_id = ? ORDER BY account',
+);
+const txSavePrices = db.transaction((rows, changes) => {
+  for (const c of changes) stmtInsertChange.run(c);
+  for (const r of rows) stmtUpsertPrice.run(r);
+});
+
+const stmtGetStocks = db.prepare(
+  'SELECT type, present, reserved FROM product_stocks WHERE account = ? AND offer_id = ?',
+);
+const stmtUpsertStock = db.prepare(`
+INSERT INTO product_stocks(account, offer_id, type, present, reserved, updated_at)
+VALUES(@account,@offer_id,@type,@present,@reserved,datetime('now'))
+ON CONFLICT(account, offer_id, type) DO UPDATE SET
+  present    = excluded.present,
+  reserved   = excluded.reserved,
+  updated_at = excluded.updated_at
+`);
+const stmtStockSummary = db.prepare(`
+SELECT type,
+       COUNT(1) AS offers,
+       SUM(present) AS present,
+       SUM(reserved) AS reserved,
+       SUM(CASE WHEN present = 0 THEN 1 ELSE 0 END) AS out_of_stock
+FROM product_stocks WHERE account = ? GROUP BY type ORDER BY type
+`);
+const txSaveStocks = db.transaction((rows) => {
+  for (const r of rows) stmtUpsertStock.run(r);
+});
 
 // ================== Telegram ==================
-const bot = new Telegraf(TELEGRAM_BOT_TOKEN);
+const bot = new Telegraf(TELEGRAM_BOT_TOKEN, {
+  telegram: {
+    // в режиме вебхука отвечаем обычными вызовами API, а не телом ответа на
+    // апдейт: так доходят ошибки и ctx.reply возвращает сообщение
+    webhookReply: false,
+    ...(TELEGRAM_API_ROOT ? { apiRoot: TELEGRAM_API_ROOT } : {}),
+  },
+});
+
+// без обработчика Telegraf пробрасывает ошибку апдейта наружу, и падает весь
+// процесс вместе со сканом — логируем и продолжаем
+bot.catch((err, ctx) =>
+  writeLog({
+    kind: 'telegram',
+    event: 'handler_error',
+    update_type: ctx.updateType,
+    chat_id: ctx.chat?.id,
+    error: err?.response?.description || err?.message || String(err),
+  }),
+);
+
+// ================== Доступ ==================
+// Чат получает данные только после одобрения админом или по коду приглашения.
+// Роли: admin (всё, включая настройки) и viewer (просмотр и уведомления).
+const INVITE_TTL = '+7 days';
+const ACCESS_REQUEST_REPEAT_HOURS = 24;
+const ROLES = ['admin', 'viewer'];
+
+const isConfigAdmin = (ctx) =>
+  ADMIN_IDS.has(String(ctx.from?.id)) || ADMIN_IDS.has(String(ctx.chat?.id));
+
+const chatAccess = (ctx) => {
+  if (isConfigAdmin(ctx)) return { status: 'approved', role: 'admin' };
+  return ctx.chat ? stmtGetChat.get(ctx.chat.id) : null;
+};
+
+const isAdmin = (ctx) => {
+  const access = chatAccess(ctx);
+  return access?.status === 'approved' && access.role === 'admin';
+};
+
+const chatTitle = (chat) =>
+  chat?.title ||
+  [chat?.first_name, chat?.last_name].filter(Boolean).join(' ') ||
+  (chat?.username ? `@${chat.username}` : null);
+
+const logDenied = (ctx, event, extra = {}) =>
+  writeLog({
+    kind: 'access',
+    event,
+    chat_id: ctx.chat?.id,
+    user_id: ctx.from?.id,
+    username: ctx.from?.username,
+    text: ctx.message?.text ?? ctx.callbackQuery?.data,
+    ...extra,
+  });
+
+const adminOnly = (handler) => async (ctx) => {
+  if (!isAdmin(ctx)) {
+    logDenied(ctx, 'admin_only');
+    await ctx.reply('⛔ Команда доступна только администраторам.');
+    return;
+  }
+  await handler(ctx);
+};
+
+// админам из конфига и чатам с ролью admin — через outbox, как и алерты
+const notifyAdmins = (html) => {
+  const ids = new Set([...ADMIN_IDS].map(Number).filter(Number.isFinite));
+  for (const c of getChats()) if (c.role === 'admin') ids.add(c.chat_id);
+  for (const id of ids) stmtOutboxAdd.run(id, 'sendMessage', html, null);
+  kickOutbox();
+};
+
+const DENIED_TEXT = {
+  pending: '⏳ Заявка на доступ ещё на рассмотрении у администратора.',
+  blocked: '🙏 Извините, доступ к боту для этого чата закрыт.',
+  unknown:
+    '🙏 Извините, у этого чата пока нет доступа к боту.\nОтправьте /start, чтобы запросить его, или /start &lt;код&gt;, если у вас есть приглашение.',
+};
+
+// /start доступен всем, остальное — только одобренным чатам
+bot.use(async (ctx, next) => {
+  if (!ctx.chat) return next();
+  const command = ctx.message?.text?.match(/^\/(\w+)/)?.[1];
+  if (command === 'start') return next();
+  const access = chatAccess(ctx);
+  if (access?.status === 'approved') return next();
+  // в группах молчим на обычные сообщения, отвечаем только на команды и кнопки
+  if (!command && !ctx.callbackQuery) return;
+  logDenied(ctx, 'denied', { status: access?.status ?? 'unknown' });
+  const text = DENIED_TEXT[access?.status] || DENIED_TEXT.unknown;
+  if (ctx.callbackQuery)
+    await ctx.answerCbQuery(text.split('\n')[0]).catch(() => {});
+  else await ctx.reply(text, { parse_mode: 'HTML' }).catch(() => {});
+});
 
 bot.start(async (ctx) => {
-  stmtInsertChat.run(ctx.chat.id);
-  await ctx.reply('👋 Готово! Отслеживаю изменения размеров на Ozon.');
+  const code = (ctx.payload || '').trim();
+  const title = chatTitle(ctx.chat);
+  if (isConfigAdmin(ctx)) {
+    // роль admin хранится на чат: в группе её получили бы все участники,
+    // поэтому группу, открытую админом, одобряем как viewer
+    const role =
+      ctx.chat.id === ctx.from?.id || ADMIN_IDS.has(String(ctx.chat.id))
+        ? 'admin'
+        : 'viewer';
+    stmtGrantAccess.run({ chat_id: ctx.chat.id, role, title });
+    writeLog({
+      kind: 'access',
+      event: 'approved',
+      chat_id: ctx.chat.id,
+      role,
+      by: ctx.from?.id,
+    });
+    await ctx.reply('👋 Готово! Отслеживаю изменения размеров на Ozon.');
+    return;
+  }
+  const access = stmtGetChat.get(ctx.chat.id);
+  if (access?.status === 'approved') {
+    await ctx.reply('👋 Готово! Отслеживаю изменения размеров на Ozon.');
+    return;
+  }
+  if (access?.status === 'blocked') {
+    logDenied(ctx, 'denied', { status: 'blocked' });
+    await ctx.reply(DENIED_TEXT.blocked);
+    return;
+  }
+  if (code) {
+    const invite = stmtUseInvite.get(ctx.chat.id, code);
+    if (invite) {
+      stmtGrantAccess.run({ chat_id: ctx.chat.id, role: invite.role, title });
+      writeLog({
+        kind: 'access',
+        event: 'invite_used',
+        chat_id: ctx.chat.id,
+        role: invite.role,
+      });
+      await ctx.reply(
+        '👋 Приглашение принято! Отслеживаю изменения размеров на Ozon.',
+      );
+      return;
+    }
+    logDenied(ctx, 'invalid_invite');
+  }
+  // повторный /start не дёргает админов; напоминание — не чаще ACCESS_REQUEST_REPEAT_HOURS
+  if (
+    stmtPendingRequest.get(ctx.chat.id, `-${ACCESS_REQUEST_REPEAT_HOURS} hours`)
+  ) {
+    logDenied(ctx, 'request_repeated');
+    await ctx.reply(
+      `${code ? 'Код приглашения не подошёл или уже использован. ' : ''}` +
+        '⏳ Заявка на доступ уже у администратора — напишу, когда её одобрят.',
+    );
+    return;
+  }
+  stmtRequestAccess.run(ctx.chat.id, title);
+  writeLog({ kind: 'access', event: 'requested', chat_id: ctx.chat.id, title });
+  notifyAdmins(`🔐 <b>Запрос доступа</b> — <code>${ctx.chat.id}</code>
+${esc(title || '—')}${ctx.from?.username ? ` (@${esc(ctx.from.username)})` : ''}
+
+/approve ${ctx.chat.id} — открыть (viewer)
+/approve ${ctx.chat.id} admin — открыть с правами админа
+/reject ${ctx.chat.id} — отказать`);
+  await ctx.reply(
+    `${code ? 'Код приглашения не подошёл или уже использован. ' : ''}` +
+      '📨 Заявка на доступ отправлена администратору — напишу, когда её одобрят.',
+  );
 });
 
+bot.command(
+  'approve',
+  adminOnly(async (ctx) => {
+    const [idArg, roleArg = 'viewer'] = (ctx.payload || '').trim().split(/\s+/);
+    const chatId = Number(idArg);
+    const role = roleArg.toLowerCase();
+    if (!Number.isInteger(chatId) || !ROLES.includes(role)) {
+      await ctx.reply('Использование: /approve <chat_id> [admin|viewer]');
+      return;
+    }
+    stmtGrantAccess.run({ chat_id: chatId, role, title: null });
+    writeLog({
+      kind: 'access',
+      event: 'approved',
+      chat_id: chatId,
+      role,
+      by: ctx.from?.id,
+    });
+    stmtOutboxAdd.run(
+      chatId,
+      'sendMessage',
+      '✅ Доступ открыт! Отслеживаю изменения размеров на Ozon.',
+      null,
+    );
+    kickOutbox();
+    await ctx.reply(`✅ Чат ${chatId} одобрен, роль: ${role}.`);
+  }),
+);
+
+bot.command(
+  'reject',
+  adminOnly(async (ctx) => {
+    const chatId = Number((ctx.payload || '').trim());
+    if (!Number.isInteger(chatId) || !stmtGetChat.get(chatId)) {
+      await ctx.reply('Использование: /reject <chat_id> (см. /chats)');
+      return;
+    }
+    stmtBlockChat.run(chatId);
+    writeLog({
+      kind: 'access',
+      event: 'blocked',
+      chat_id: chatId,
+      by: ctx.from?.id,
+    });
+    await ctx.reply(`🚫 Доступ для чата ${chatId} закрыт.`);
+  }),
+);
+
+bot.command(
+  'invite',
+  adminOnly(async (ctx) => {
+    const role = ((ctx.payload || '').trim() || 'viewer').toLowerCase();
+    if (!ROLES.includes(role)) {
+      await ctx.reply('Использование: /invite [viewer|admin]');
+      return;
+    }
+    const code = crypto.randomBytes(6).toString('base64url');
+    stmtAddInvite.run(code, role, ctx.from?.id ?? null, INVITE_TTL);
+    await ctx.reply(
+      `🎟 Код приглашения (${role}, одноразовый, 7 дней):
+<code>/start ${code}</code>`,
+      { parse_mode: 'HTML' },
+    );
+  }),
+);
+
+const CHAT_STATUS_ICONS = { pending: '⏳', approved: '🟢', blocked: '🚫' };
+
+bot.command(
+  'chats',
+  adminOnly(async (ctx) => {
+    const lines = stmtListChats
+      .all()
+      .map(
+        (c) =>
+          `${CHAT_STATUS_ICONS[c.status] || '•'} <code>${c.chat_id}</code> ${esc(
+            c.title || '',
+          )} — ${c.status}${c.status === 'approved' ? `, ${c.role}` : ''}`,
+      );
+    for (const part of splitMessage(
+      `👥 <b>Чаты</b>\n${lines.join('\n') || 'Пусто.'}`,
+    ))
+      await ctx.reply(part, { parse_mode: 'HTML' });
+  }),
+);
+
+const SCAN_PHASE_LABELS = {
+  ARCHIVED: 'архив',
+  MISSING: 'проверка пропавших',
+};
+
+const scanProgress = (scan) =>
+  `обработано товаров ${scan.offers_done}${
+    scan.offers_total != null ? ` из ${scan.offers_total}` : ''
+  }, пачек ${scan.batches_done}${
+    SCAN_PHASE_LABELS[scan.phase]
+      ? `, этап: ${SCAN_PHASE_LABELS[scan.phase]}`
+      : ''
+  }`;
+
+const accountStatus = (account) => {
+  const count = stmtCountProducts.get(account.name).c;
+  const scan = stmtLastScan.get(account.name);
+  const lines = [
+    `🏷 ${account.name}${account.enabled ? '' : ' (выключен)'}: товаров ${count}`,
+  ];
+  if (scan && !scan.finished_at && isScanning)
+    lines.push(`🔄 Скан идёт с ${scan.started_at}: ${scanProgress(scan)}`);
+  else if (scan?.phase)
+    // ошибка или рестарт посреди скана — следующий тик продолжит с курсора
+    lines.push(
+      `⏸ Скан от ${scan.started_at} прерван${
+        scan.error ? ` (ошибка: ${scan.error})` : ''
+      }: ${scanProgress(scan)} — продолжится со следующего скана`,
+    );
+  else if (scan)
+    lines.push(
+      scan.error
+        ? `Последний скан: ${scan.started_at} — ошибка: ${scan.error}`
+        : `Последний скан: ${scan.finished_at || `${scan.started_at} (идёт)`}`,
+    );
+  for (const r of stmtStockSummary.all(account.name))
+    lines.push(
+      `${r.type.toUpperCase()}: ${r.present} шт. (резерв ${r.reserved}), ` +
+        `нет в наличии — ${r.out_of_stock} из ${r.offers}`,
+    );
+  return lines.join('\n');
+};
+
 bot.command('status', async (ctx) => {
-  const count = db.prepare('SELECT COUNT(1) AS c FROM products').get().c;
-  await ctx.reply(`📦 Товаров в БД: ${count}
-Режим: ${SIZE_TRACKING_MODE}
-Интервал: ${POLL_INTERVAL_SECONDS}s`);
+  const accounts = stmtAllAccounts.all();
+  await ctx.reply(`Режим: ${SIZE_TRACKING_MODE}
+Интервал: ${POLL_INTERVAL_SECONDS}s${scanPaused ? ' (на паузе)' : ''}
+
+${accounts.length ? accounts.map(accountStatus).join('\n\n') : 'Аккаунты Ozon не заданы'}`);
 });
 
-const getChats = () => stmtAllChats.all().map((r) => r.chat_id);
-const notifyAll = async (html) => {
-  const chats = getChats();
-  for (const chatId of chats) {
-    try {
-      await bot.telegram.sendMessage(chatId, html, {
-        parse_mode: 'HTML',
-        disable_web_page_preview: true,
+// ===== Управление сканером =====
+const fmtDuration = (sec) =>
+  sec == null
+    ? '—'
+    : sec < 60
+      ? `${sec} с`
+      : `${Math.floor(sec / 60)} мин ${sec % 60} с`;
+
+const lastScanLine = (account) => {
+  const scan = stmtLastScan.get(account.name);
+  if (!scan) return `🏷 ${account.name}: сканов ещё не было`;
+  if (!scan.finished_at)
+    return `🏷 ${account.name}: идёт с ${scan.started_at} UTC, ${scanProgress(scan)}`;
+  const mode =
+    scan.mode === 'incremental'
+      ? `, инкрементальный (сэкономлено запросов: ${scan.calls_saved ?? 0})`
+      : '';
+  return `🏷 ${account.name}: ${scan.finished_at} UTC, ${fmtDuration(
+    scan.duration_s,
+  )}, товаров ${scan.offers ?? 0}${mode}${scan.error ? `\n⚠️ Ошибка: ${scan.error}` : ''}`;
+};
+
+bot.command('next', async (ctx) => {
+  const secs = nextScanAt
+    ? Math.max(0, Math.round((nextScanAt - Date.now()) / 1000))
+    : null;
+  const next = isScanning
+    ? '🔄 Скан идёт прямо сейчас'
+    : scanPaused
+      ? '⏸ Плановые сканы на паузе (/resume)'
+      : secs != null
+        ? `⏭ Следующий скан: ${new Date(nextScanAt).toLocaleString(
+            'ru-RU',
+          )} (через ${fmtDuration(secs)})`
+        : '⏭ Первый скан ещё не завершён';
+  const accounts = stmtAllAccounts.all();
+  await ctx.reply(`${next}
+Интервал: ${POLL_INTERVAL_SECONDS}s
+
+Последний скан:
+${accounts.length ? accounts.map(lastScanLine).join('\n') : 'Аккаунты Ozon не заданы'}`);
+});
+
+bot.command(
+  'scan',
+  adminOnly(async (ctx) => {
+    if (isScanning) {
+      await ctx.reply('⏳ Скан уже идёт — дождитесь окончания (/next).');
+      return;
+    }
+    writeLog({ kind: 'scan', event: 'manual', by: ctx.from?.id });
+    // isScanning выставляется синхронно — плановый тик не наложится
+    const started = Date.now();
+    const running = tick();
+    await ctx.reply('🔎 Запускаю внеочередной скан…');
+    // не ждём в обработчике: скан бывает дольше таймаута Telegraf
+    running
+      .then(() =>
+        ctx.reply(
+          `✅ Скан завершён за ${fmtDuration(
+            Math.round((Date.now() - started) / 1000),
+          )}\n\n${stmtEnabledAccounts.all().map(lastScanLine).join('\n')}`,
+        ),
+      )
+      .catch(() => {});
+  }),
+);
+
+bot.command(
+  'pause',
+  adminOnly(async (ctx) => {
+    if (scanPaused) {
+      await ctx.reply('Плановые сканы уже на паузе. /resume — возобновить.');
+      return;
+    }
+    scanPaused = true;
+    stopTicker();
+    writeLog({ kind: 'scan', event: 'paused', by: ctx.from?.id });
+    await ctx.reply(
+      '⏸ Плановые сканы остановлены (до /resume или перезапуска). /scan по-прежнему работает.',
+    );
+  }),
+);
+
+bot.command(
+  'resume',
+  adminOnly(async (ctx) => {
+    if (!scanPaused) {
+      await ctx.reply('Плановые сканы и так идут. /next — когда следующий.');
+      return;
+    }
+    scanPaused = false;
+    startTicker();
+    writeLog({ kind: 'scan', event: 'resumed', by: ctx.from?.id });
+    await ctx.reply(
+      `▶️ Плановые сканы возобновлены, следующий через ${fmtDuration(
+        POLL_INTERVAL_SECONDS,
+      )}.`,
+    );
+  }),
+);
+
+// ===== Настройки =====
+const showSetting = (v) =>
+  Array.isArray(v) ? (v.length ? v.join(', ') : 'все') : String(v);
+
+const renderSettings = () => {
+  const overrides = settingOverrides();
+  const lines = [];
+  const rows = [];
+  for (const [key, def] of Object.entries(RUNTIME_SETTINGS)) {
+    const raw = overrides.get(key);
+    const value = def.parse(raw ?? def.env);
+    lines.push(
+      `• ${def.label}: <code>${esc(showSetting(value))}</code>${
+        raw != null ? ' ✏️' : ''
+      }\n  <i>${key}</i>`,
+    );
+    if (def.presets)
+      rows.push(
+        def.presets.map((p) =>
+          Markup.button.callback(
+            `${String(value) === p ? '✅ ' : ''}${p}`,
+            `set:${key}:${p}`,
+          ),
+        ),
+      );
+    if (raw != null)
+      rows.push([
+        Markup.button.callback(`↩️ ${def.label}: из .env`, `set:${key}:`),
+      ]);
+  }
+  return {
+    text: `⚙️ <b>Настройки</b> (✏️ — изменено из бота)
+${lines.join('\n')}
+
+Изменить: /set &lt;ключ&gt; &lt;значение&gt;
+Сбросить к .env: /set &lt;ключ&gt; default
+Применяются со следующего скана.`,
+    keyboard: Markup.inlineKeyboard(rows),
+  };
+};
+
+// value === null — сброс к .env; возвращает текст ошибки или null
+const changeSetting = (key, value, by) => {
+  const def = RUNTIME_SETTINGS[key];
+  if (value != null) {
+    const error = def.validate(value);
+    if (error) return error;
+    stmtSetSetting.run(key, value, by ?? null);
+  } else stmtDelSetting.run(key);
+  writeLog({ kind: 'settings', event: 'changed', key, value, by });
+  // во время скана режим не меняем — применится на следующем тике
+  if (!isScanning) applySettings();
+  return null;
+};
+
+bot.command(
+  'settings',
+  adminOnly(async (ctx) => {
+    const { text, keyboard } = renderSettings();
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }),
+);
+
+bot.command(
+  'set',
+  adminOnly(async (ctx) => {
+    const [keyArg = '', ...rest] = (ctx.payload || '').trim().split(/\s+/);
+    const key = keyArg.toUpperCase();
+    const raw = rest.join(' ');
+    if (!RUNTIME_SETTINGS[key] || !raw) {
+      await ctx.reply(
+        `Использование: /set <ключ> <значение> | /set <ключ> default
+Ключи: ${Object.keys(RUNTIME_SETTINGS).join(', ')}
+Для TRACK_OFFER_IDS «-» — все товары.`,
+      );
+      return;
+    }
+    const value =
+      raw.toLowerCase() === 'default'
+        ? null
+        : key === 'TRACK_OFFER_IDS' && raw === '-'
+          ? ''
+          : raw;
+    const error = changeSetting(key, value, ctx.from?.id);
+    if (error) {
+      await ctx.reply(`❌ ${RUNTIME_SETTINGS[key].label}: ${error}`);
+      return;
+    }
+    const { text, keyboard } = renderSettings();
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }),
+);
+
+bot.action(
+  /^set:(\w+):(.*)$/,
+  adminOnly(async (ctx) => {
+    const [, key, value] = ctx.match;
+    if (!RUNTIME_SETTINGS[key]) return ctx.answerCbQuery();
+    const error = changeSetting(key, value || null, ctx.from?.id);
+    await ctx.answerCbQuery(error || '✅ Сохранено');
+    if (error) return;
+    const { text, keyboard } = renderSettings();
+    await ctx
+      .editMessageText(text, { parse_mode: 'HTML', ...keyboard })
+      .catch(() => {}); // «message is not modified»
+  }),
+);
+
+// ===== Аккаунты: админ-команды =====
+bot.command(
+  'accounts',
+  adminOnly(async (ctx) => {
+    const rows = stmtAllAccounts.all();
+    const lines = rows.map(
+      (a) =>
+        `${a.enabled ? '🟢' : '⚪️'} <b>${esc(a.name)}</b> — Client-Id <code>${esc(
+          a.client_id,
+        )}</code>${a.source === 'config' ? ' (из конфига)' : ''}`,
+    );
+    await ctx.reply(
+      `${lines.join('\n') || 'Аккаунтов нет.'}
+
+/addaccount &lt;имя&gt; &lt;client_id&gt; &lt;api_key&gt;
+/delaccount &lt;имя&gt;
+/account &lt;имя&gt; on|off`,
+      { parse_mode: 'HTML' },
+    );
+  }),
+);
+
+const OUTBOX_STATUS_LABELS = {
+  pending: 'в очереди',
+  sent: 'доставлено',
+  failed: 'не доставлено',
+};
+
+bot.command(
+  'outbox',
+  adminOnly(async (ctx) => {
+    if ((ctx.payload || '').trim().toLowerCase() === 'retry') {
+      const { changes } = stmtOutboxRequeue.run();
+      kickOutbox();
+      await ctx.reply(`🔁 Повторно поставлено в очередь: ${changes}`);
+      return;
+    }
+    const stats = stmtOutboxStats
+      .all()
+      .map((r) => `${OUTBOX_STATUS_LABELS[r.status] || r.status}: ${r.c}`);
+    const failed = stmtOutboxFailed
+      .all(10)
+      .map(
+        (r) =>
+          `• #${r.id} → <code>${
+            r.channel === 'telegram' ? r.chat_id : esc(r.channel)
+          }</code> (${esc(r.method)}), попыток ${
+            r.attempts
+          }, ${esc(r.created_at)}\n  <i>${esc(r.last_error || '—')}</i>`,
+      );
+    await ctx.reply(
+      `📤 <b>Очередь отправки</b>
+${stats.join('\n') || 'Пусто.'}${
+        failed.length
+          ? `\n\n<b>Последние недоставленные:</b>\n${failed.join('\n')}\n\n/outbox retry — отправить их ещё раз`
+          : ''
+      }`,
+      { parse_mode: 'HTML' },
+    );
+  }),
+);
+
+bot.command(
+  'addaccount',
+  adminOnly(async (ctx) => {
+    const [name, client_id, api_key] = (ctx.payload || '').trim().split(/\s+/);
+    // в сообщении API-ключ — убираем его из чата
+    await ctx.deleteMessage().catch(() => {});
+    if (!name || !client_id || !api_key) {
+      await ctx.reply('Использование: /addaccount <имя> <client_id> <api_key>');
+      return;
+    }
+    stmtAddAccount.run({ name, client_id, api_key });
+    writeLog({ kind: 'account', event: 'added', name, by: ctx.from?.id });
+    await ctx.reply(`✅ Аккаунт ${name} добавлен, скан — со следующего тика.`);
+  }),
+);
+
+bot.command(
+  'delaccount',
+  adminOnly(async (ctx) => {
+    const name = (ctx.payload || '').trim();
+    const acc = stmtGetAccount.get(name);
+    if (!acc) {
+      await ctx.reply('Такого аккаунта нет.');
+      return;
+    }
+    if (CONFIG_ACCOUNT_NAMES.has(name)) {
+      await ctx.reply(
+        'Аккаунт задан в конфиге — уберите его из .env или выключите: /account <имя> off',
+      );
+      return;
+    }
+    // идущий скан допишет товары уже удалённого аккаунта
+    const scan = stmtInterruptedScan.get(name);
+    if (
+      scan &&
+      (scan.locked_by === SCAN_LOCK_OWNER ? isScanning : scanLockAlive(scan))
+    ) {
+      await ctx.reply(
+        `Аккаунт ${name} сейчас сканируется — выключите его (/account ${name} off) и повторите после скана.`,
+      );
+      return;
+    }
+    txDelAccount(name);
+    writeLog({ kind: 'account', event: 'deleted', name, by: ctx.from?.id });
+    await ctx.reply(`🗑 Аккаунт ${name} удалён вместе с товарами и историей.`);
+  }),
+);
+
+bot.command(
+  'account',
+  adminOnly(async (ctx) => {
+    const [name, state] = (ctx.payload || '').trim().split(/\s+/);
+    if (!stmtGetAccount.get(name || '') || !['on', 'off'].includes(state)) {
+      await ctx.reply('Использование: /account <имя> on|off');
+      return;
+    }
+    stmtSetAccountEnabled.run(state === 'on' ? 1 : 0, name);
+    await ctx.reply(
+      `${state === 'on' ? '🟢' : '⚪️'} Аккаунт ${name} ${
+        state === 'on' ? 'включён' : 'выключен'
+      }.`,
+    );
+  }),
+);
+
+const HISTORY_PAGE_SIZE = 10;
+// callback_data у Telegram ограничена 64 байтами
+const historyKeyboard = (offer_id, page, pages) => {
+  const btns = [];
+  if (page > 1)
+    btns.push(Markup.button.callback('◀️', `hist:${page - 1}:${offer_id}`));
+  if (page < pages)
+    btns.push(Markup.button.callback('▶️', `hist:${page + 1}:${offer_id}`));
+  const fits = btns.every(
+    (b) => Buffer.byteLength(b.callback_data, 'utf8') <= 64,
+  );
+  return btns.length && fits ? Markup.inlineKeyboard([btns]) : undefined;
+};
+
+const renderHistory = (offer_id, page) => {
+  const total = stmtCountChanges.get(offer_id).c;
+  if (!total)
+    return { text: `История изменений пуста — <code>${esc(offer_id)}</code>` };
+  const pages = Math.ceil(total / HISTORY_PAGE_SIZE);
+  const p = Math.min(Math.max(page, 1), pages);
+  const rows = stmtPageChanges.all(
+    offer_id,
+    HISTORY_PAGE_SIZE,
+    (p - 1) * HISTORY_PAGE_SIZE,
+  );
+  const lines = rows.map(
+    (r) =>
+      `<code>${r.changed_at}</code> · ${esc(r.account)} · скан #${
+        r.scan_id ?? '—'
+      }\n` + changeLine(r),
+  );
+  const more =
+    pages > 1
+      ? `\n\nСтраница: /history ${esc(offer_id)} &lt;1..${pages}&gt;`
+      : '';
+  return {
+    text: `🕓 <b>История изменений</b> — <code>${esc(offer_id)}</code>
+Стр. ${p}/${pages}, всего записей: ${total}
+
+${lines.join('\n\n')}${more}`,
+    keyboard: historyKeyboard(offer_id, p, pages),
+  };
+};
+
+bot.command('history', async (ctx) => {
+  const [offer_id, pageArg] = (ctx.payload || '').trim().split(/\s+/);
+  if (!offer_id) {
+    await ctx.reply('Использование: /history <offer_id> [страница]');
+    return;
+  }
+  const { text, keyboard } = renderHistory(offer_id, Number(pageArg) || 1);
+  await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+});
+
+bot.action(/^hist:(\d+):(.+)$/, async (ctx) => {
+  const [, page, offer_id] = ctx.match;
+  const { text, keyboard } = renderHistory(offer_id, Number(page));
+  await ctx.answerCbQuery();
+  await ctx
+    .editMessageText(text, { parse_mode: 'HTML', ...keyboard })
+    .catch(() => {}); // «message is not modified» при повторном нажатии
+});
+
+// ===== Подписки чатов =====
+// подписки, пороги и дайджест — настройки самого чата: их меняет любой
+// одобренный чат (viewer тоже), adminOnly — только для глобальных настроек
+const SUB_KINDS = ['offer', 'prefix', 'brand'];
+const SUB_LABELS = { offer: 'Товары', prefix: 'Префиксы', brand: 'Бренды' };
+
+// "/watch A-1 B-2", "/watch SHOE-*", "/watch prefix SHOE-", "/watch brand The North Face"
+const parseSubscriptions = (payload) => {
+  const text = (payload || '').trim();
+  if (!text) return [];
+  const [head, ...rest] = text.split(/\s+/);
+  const kind = head.toLowerCase();
+  if (kind === 'brand') {
+    const brand = rest.join(' ').trim();
+    return brand ? [{ kind, value: brand }] : [];
+  }
+  const tokens = (SUB_KINDS.includes(kind) ? rest : [head, ...rest])
+    .flatMap((t) => t.split(','))
+    .map((t) => t.trim())
+    .filter(Boolean);
+  if (SUB_KINDS.includes(kind))
+    return tokens.map((t) => ({ kind, value: t.replace(/\*$/, '') }));
+  return tokens.map((t) =>
+    t.endsWith('*')
+      ? { kind: 'prefix', value: t.slice(0, -1) }
+      : { kind: 'offer', value: t },
+  );
+};
+
+const subMatches = (sub, target) => {
+  if (sub.kind === 'offer') return target.offer_id === sub.value;
+  if (sub.kind === 'prefix')
+    return String(target.offer_id || '').startsWith(sub.value);
+  if (sub.kind === 'brand')
+    return (
+      !!target.brand && target.brand.toLowerCase() === sub.value.toLowerCase()
+    );
+  return false;
+};
+
+const WATCH_USAGE = `Использование:
+/watch A-1 B-2 — конкретные offer_id
+/watch SHOE-* или /watch prefix SHOE- — по префиксу offer_id
+/watch brand Название бренда — по бренду`;
+
+bot.command('watch', async (ctx) => {
+  const subs = parseSubscriptions(ctx.payload).filter((s) => s.value);
+  if (!subs.length) {
+    await ctx.reply(WATCH_USAGE);
+    return;
+  }
+  stmtInsertChat.run(ctx.chat.id);
+  for (const s of subs) stmtAddSub.run(ctx.chat.id, s.kind, s.value);
+  await ctx.reply(
+    `✅ Подписка добавлена: ${subs.map((s) => `${s.kind}:${s.value}`).join(', ')}`,
+  );
+});
+
+bot.command('unwatch', async (ctx) => {
+  if ((ctx.payload || '').trim().toLowerCase() === 'all') {
+    stmtDelAllSubs.run(ctx.chat.id);
+    await ctx.reply(
+      '🗑 Все подписки удалены — чат снова получает все уведомления.',
+    );
+    return;
+  }
+  const subs = parseSubscriptions(ctx.payload).filter((s) => s.value);
+  if (!subs.length) {
+    await ctx.reply(`${WATCH_USAGE}\n/unwatch all — удалить все подписки`);
+    return;
+  }
+  let removed = 0;
+  for (const s of subs)
+    removed += stmtDelSub.run(ctx.chat.id, s.kind, s.value).changes;
+  await ctx.reply(
+    removed ? `🗑 Удалено подписок: ${removed}` : 'Таких подписок нет.',
+  );
+});
+
+bot.command('subscriptions', async (ctx) => {
+  const subs = stmtChatSubs.all(ctx.chat.id);
+  if (!subs.length) {
+    await ctx.reply(
+      'Подписок нет — чат получает уведомления по всем товарам.\n\n' +
+        WATCH_USAGE,
+    );
+    return;
+  }
+  const lines = SUB_KINDS.map((k) => {
+    const vals = subs.filter((s) => s.kind === k).map((s) => esc(s.value));
+    return vals.length
+      ? `<b>${SUB_LABELS[k]}:</b> <code>${vals.join('</code>, <code>')}</code>`
+      : null;
+  }).filter(Boolean);
+  await ctx.reply(`🔔 <b>Подписки чата</b>\n${lines.join('\n')}`, {
+    parse_mode: 'HTML',
+  });
+});
+
+// "/pricethreshold 50" — от 50 ₽, "/pricethreshold 5%" — от 5%, "off" — любые
+bot.command('pricethreshold', async (ctx) => {
+  const arg = (ctx.payload || '').trim().replace(',', '.');
+  stmtInsertChat.run(ctx.chat.id);
+  if (!arg) {
+    const c = stmtGetChat.get(ctx.chat.id);
+    const cur =
+      c.price_threshold_pct != null
+        ? `${c.price_threshold_pct}%`
+        : c.price_threshold_abs != null
+          ? `${c.price_threshold_abs}`
+          : 'нет (любое изменение)';
+    await ctx.reply(`Порог ценовых алертов: ${cur}
+Использование: /pricethreshold 50 | /pricethreshold 5% | /pricethreshold off`);
+    return;
+  }
+  if (arg.toLowerCase() === 'off') {
+    stmtSetPriceThreshold.run(null, null, ctx.chat.id);
+    await ctx.reply('✅ Порог снят — присылаю любые изменения цен.');
+    return;
+  }
+  const m = arg.match(/^(\d+(?:\.\d+)?)\s*(%?)$/);
+  if (!m) {
+    await ctx.reply('Не понял порог. Пример: /pricethreshold 50 или 5%');
+    return;
+  }
+  const val = Number(m[1]);
+  if (m[2]) stmtSetPriceThreshold.run(null, val, ctx.chat.id);
+  else stmtSetPriceThreshold.run(val, null, ctx.chat.id);
+  await ctx.reply(`✅ Порог ценовых алертов: ${val}${m[2]}`);
+});
+
+bot.command('lowstock', async (ctx) => {
+  const arg = (ctx.payload || '').trim().toLowerCase();
+  stmtInsertChat.run(ctx.chat.id);
+  if (!arg) {
+    const cur = stmtGetChat.get(ctx.chat.id).low_stock_threshold;
+    await ctx.reply(`Порог «мало остатков»: ${cur ?? 'выключен'}
+Использование: /lowstock 5 | /lowstock off`);
+    return;
+  }
+  if (arg === 'off') {
+    stmtSetLowStock.run(null, ctx.chat.id);
+    await ctx.reply('✅ Алерты «мало остатков» выключены.');
+    return;
+  }
+  const n = Number(arg);
+  if (!Number.isInteger(n) || n <= 0) {
+    await ctx.reply('Порог — целое число больше нуля, например /lowstock 5');
+    return;
+  }
+  stmtSetLowStock.run(n, ctx.chat.id);
+  await ctx.reply(`✅ Сообщу, когда остаток опустится ниже ${n} шт.`);
+});
+
+const DELIVERY_MODES = {
+  instant: 'сразу',
+  hourly: 'дайджест раз в час',
+  daily: `дайджест раз в сутки (в ${DIGEST_DAILY_HOUR}:00)`,
+};
+
+bot.command('digest', async (ctx) => {
+  const arg = (ctx.payload || '').trim().toLowerCase();
+  stmtInsertChat.run(ctx.chat.id);
+  const chat = stmtGetChat.get(ctx.chat.id);
+  if (!DELIVERY_MODES[arg]) {
+    await ctx.reply(`Доставка уведомлений: ${
+      DELIVERY_MODES[chat.delivery_mode] || DELIVERY_MODES.instant
+    }
+Использование: /digest instant | /digest hourly | /digest daily`);
+    return;
+  }
+  if (arg === 'instant') {
+    stmtSetDeliveryMode.run(arg, null, ctx.chat.id);
+    // накопленное не теряем — отправляем сразу
+    await flushDigest(chat);
+  } else {
+    const since =
+      chat.delivery_mode === 'instant' ? Date.now() : chat.digest_sent_at;
+    stmtSetDeliveryMode.run(arg, since, ctx.chat.id);
+  }
+  await ctx.reply(`✅ Доставка уведомлений: ${DELIVERY_MODES[arg]}.`);
+});
+
+// /export [products|changes] [csv|xlsx] [prefix=… | SKU-*] [from=…] [to=…] [account=…]
+bot.command('export', async (ctx) => {
+  let opts;
+  try {
+    opts = parseExportArgs(ctx.payload);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message}\n\n${EXPORT_USAGE}`);
+    return;
+  }
+  const { buffer, filename, count } = await buildExport(db, opts);
+  if (!count) {
+    await ctx.reply('Под эти условия ничего не нашлось.');
+    return;
+  }
+  writeLog({
+    kind: 'export',
+    event: 'sent',
+    chat_id: ctx.chat.id,
+    count,
+    ...opts,
+  });
+  await ctx.replyWithDocument(
+    { source: buffer, filename },
+    { caption: `📄 ${EXPORT_TYPES[opts.type].label}: ${count} строк` },
+  );
+});
+
+bot.command('errors', async (ctx) => {
+  const rows = stmtProductsWithErrors.all();
+  if (!rows.length) {
+    await ctx.reply('✅ Товаров с ошибками нет.');
+    return;
+  }
+  const blocks = rows.map((r) => {
+    const errs = JSON.parse(r.errors);
+    return `🏷 ${esc(r.account)} · <code>${esc(r.offer_id)}</code> ${esc(
+      r.name || '',
+    )}${
+      r.moderate_status ? ` [${esc(r.moderate_status)}]` : ''
+    }\n${errs.map(errorLine).join('\n')}`;
+  });
+  const text = `⚠️ <b>Товары с ошибками: ${rows.length}</b>\n\n${blocks.join(
+    '\n\n',
+  )}`;
+  for (const part of splitMessage(text))
+    await ctx.reply(part, { parse_mode: 'HTML' });
+});
+
+const getChats = () => stmtAllChats.all();
+
+// target = { account, offer_id, brand, accept? } — алерт по товару уходит только
+// подписанным чатам (и тем, чей фильтр accept(chat) его пропускает); без target
+// (системные сообщения) и чатам без подписок — всем.
+// type — тип изменения для дайджеста (см. DIGEST_TYPES)
+// src/cli.js видит каждое уведомление (печатает изменения); без deliver —
+// только печатает, ничего не отправляя
+let notifyInterceptor = null;
+const interceptNotifications = (fn, { deliver = false } = {}) => {
+  notifyInterceptor = { fn, deliver };
+};
+
+const notifyAll = async (body, target, type = 'other') => {
+  if (notifyInterceptor) {
+    notifyInterceptor.fn({ body, target, type });
+    if (!notifyInterceptor.deliver) return;
+  }
+  const html = target?.account
+    ? `🏷 <b>${esc(target.account)}</b>\n${body}`
+    : body;
+  if (target)
+    metrics.changesDetected.inc({ account: target.account ?? '', type });
+  // системные сообщения — только в Telegram, алерты по товарам — по маршрутам
+  if (target) {
+    const message = JSON.stringify(channelMessage(body, target, type));
+    for (const channel of extraChannels)
+      if (channel.accepts(type))
+        stmtOutboxAddChannel.run(channel.name, message);
+  }
+  if (target && !telegramChannel.accepts(type)) {
+    kickOutbox();
+    return;
+  }
+  const subsByChat = new Map();
+  for (const s of stmtAllSubs.all()) {
+    if (!subsByChat.has(s.chat_id)) subsByChat.set(s.chat_id, []);
+    subsByChat.get(s.chat_id).push(s);
+  }
+  const chats = getChats().filter((chat) => {
+    if (!target) return true;
+    if (target.accept && !target.accept(chat)) return false;
+    const subs = subsByChat.get(chat.chat_id);
+    return !subs?.length || subs.some((s) => subMatches(s, target));
+  });
+  for (const { chat_id: chatId, delivery_mode } of chats) {
+    // в режиме дайджеста алерты по товарам копятся, системные уходят сразу
+    if (target && delivery_mode && delivery_mode !== 'instant') {
+      stmtQueueDigest.run(chatId, type, html);
+      continue;
+    }
+    stmtOutboxAdd.run(chatId, 'sendMessage', html, null);
+  }
+  kickOutbox();
+};
+
+// ================== Outbox ==================
+// Всё исходящее сначала пишется в outbox, воркер доставляет с учётом лимитов
+// Telegram; недоставленное переживает перезапуск процесса.
+const chatLastSent = new Map();
+const recentSends = [];
+
+// глобальный лимит: не больше OUTBOX_GLOBAL_PER_SEC отправок за скользящую секунду
+const waitGlobalSlot = async () => {
+  for (;;) {
+    const now = Date.now();
+    while (recentSends.length && now - recentSends[0] >= 1000)
+      recentSends.shift();
+    if (recentSends.length < OUTBOX_GLOBAL_PER_SEC) {
+      recentSends.push(now);
+      return;
+    }
+    await sleep(1000 - (now - recentSends[0]));
+  }
+};
+
+const countDelivery = (row, result) => {
+  metrics.channelDeliveries.inc({ channel: row.channel, result });
+  if (row.channel !== 'telegram') return;
+  if (result === 'sent') metrics.telegramSent.inc();
+  else metrics.telegramFailures.inc({ reason: result });
+};
+
+const deliverOne = async (row) => {
+  const channel = channels.get(row.channel);
+  if (row.channel === 'telegram') chatLastSent.set(row.chat_id, Date.now());
+  try {
+    // канал убрали из NOTIFY_CHANNELS, а сообщения для него остались
+    if (!channel) throw new Error(`канал ${row.channel} не настроен`);
+    await channel.send(row);
+    stmtOutboxSent.run(Date.now(), row.id);
+    countDelivery(row, 'sent');
+  } catch (e) {
+    const error =
+      e?.response?.description ||
+      e?.response?.data?.message ||
+      e?.message ||
+      String(e);
+    const { rateLimited, retryAfterS, permanent } = channel
+      ? channel.classify(e)
+      : { permanent: true };
+    const attempts = row.attempts + 1;
+    // 429: ждём сколько просит получатель, попытку не засчитываем
+    if (rateLimited) {
+      countDelivery(row, 'rate_limited');
+      stmtOutboxRetry.run({
+        id: row.id,
+        attempts: row.attempts,
+        next_attempt_at: Date.now() + retryAfterS * 1000,
+        error,
+      });
+      writeLog({
+        kind: 'outbox',
+        event: 'rate_limited',
+        id: row.id,
+        channel: row.channel,
+        chat_id: row.chat_id,
+        retry_after: retryAfterS,
+      });
+      return;
+    }
+    // 4xx (чат не найден, бот заблокирован, кривой HTML) повтором не лечатся
+    if (permanent || attempts >= OUTBOX_MAX_ATTEMPTS) {
+      stmtOutboxFail.run(attempts, error, row.id);
+      countDelivery(row, 'failed');
+      writeLog({
+        kind: 'outbox',
+        event: 'failed',
+        id: row.id,
+        channel: row.channel,
+        chat_id: row.chat_id,
+        attempts,
+        error,
       });
-    } catch {}
+      return;
+    }
+    const delay = Math.min(
+      OUTBOX_RETRY_MAX_MS,
+      OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1),
+    );
+    stmtOutboxRetry.run({
+      id: row.id,
+      attempts,
+      next_attempt_at: Date.now() + delay,
+      error,
+    });
+    countDelivery(row, 'retry');
+    writeLog({
+      kind: 'outbox',
+      event: 'retry',
+      id: row.id,
+      channel: row.channel,
+      chat_id: row.chat_id,
+      attempts,
+      delay_ms: delay,
+      error,
+    });
   }
 };
 
+let isOutboxRunning = false;
+const processOutbox = async () => {
+  if (isOutboxRunning) return;
+  isOutboxRunning = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      // чаты, куда писали меньше OUTBOX_CHAT_INTERVAL_MS назад, ждут следующего круга;
+      // лимиты Telegram к вебхукам и почте не относятся
+      const rows = stmtOutboxDue
+        .all(now, 100)
+        .filter(
+          (r) =>
+            r.channel !== 'telegram' ||
+            now - (chatLastSent.get(r.chat_id) ?? 0) >= OUTBOX_CHAT_INTERVAL_MS,
+        );
+      if (!rows.length) break;
+      for (const row of rows) {
+        if (row.channel === 'telegram') await waitGlobalSlot();
+        await deliverOne(row);
+      }
+    }
+  } finally {
+    isOutboxRunning = false;
+  }
+};
+
+// src/cli.js: досылаем всё, что можно отправить сейчас; отложенные повторы — боту
+const drainOutbox = async () => {
+  while (stmtOutboxDue.all(Date.now(), 1).length) {
+    await processOutbox();
+    await sleep(OUTBOX_CHAT_INTERVAL_MS);
+  }
+};
+
+const kickOutbox = () => {
+  processOutbox().catch((e) =>
+    writeLog({ kind: 'outbox', event: 'error', error: e?.message }),
+  );
+};
+
 // ================== Ozon API ==================
-const ozonPost = async (path, body) => {
+// состояние лимита по аккаунту — общее для параллельных батчей
+const rateLimits = new Map();
+const rateLimitOf = (account) => {
+  if (!rateLimits.has(account.name))
+    rateLimits.set(account.name, { remaining: null, resetAt: 0 });
+  return rateLimits.get(account.name);
+};
+
+// x-ratelimit-reset / Retry-After: секунды до сброса, unix-время или HTTP-дата
+const headerDelayMs = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (isFinite(n)) {
+    if (n > 1e12) return Math.max(0, n - Date.now()); // unix ms
+    if (n > 1e9) return Math.max(0, n * 1000 - Date.now()); // unix s
+    return Math.max(0, n * 1000);
+  }
+  const t = Date.parse(v);
+  return isFinite(t) ? Math.max(0, t - Date.now()) : null;
+};
+
+const trackRateLimit = (account, headers) => {
+  const rateLimit = rateLimitOf(account);
+  const rem = headers?.['x-ratelimit-remaining'];
+  if (rem == null) return;
+  rateLimit.remaining = Number(rem);
+  metrics.ozonRateLimitRemaining.set(
+    { account: account.name },
+    rateLimit.remaining,
+  );
+  const reset = headerDelayMs(headers?.['x-ratelimit-reset']);
+  rateLimit.resetAt = reset == null ? 0 : Date.now() + reset;
+};
+
+const throttle = async (account, path) => {
+  const rateLimit = rateLimitOf(account);
+  const wait = rateLimit.resetAt - Date.now();
+  if (
+    rateLimit.remaining == null ||
+    rateLimit.remaining > OZON_RL_MIN_REMAINING ||
+    wait <= 0
+  )
+    return;
+  writeLog({
+    kind: 'ozon_api',
+    event: 'throttle',
+    account: account.name,
+    path,
+    rl_rem: rateLimit.remaining,
+    wait_ms: wait,
+  });
+  await sleep(Math.min(wait, OZON_RETRY_MAX_MS));
+  rateLimit.remaining = null;
+};
+
+// 429, 5xx и сетевые ошибки без ответа — повторяем
+const isRetryable = (e) => {
+  const status = e?.response?.status;
+  if (status == null) return !axios.isCancel(e);
+  return status === 429 || status >= 500;
+};
+
+const retryDelayMs = (e, attempt) => {
+  const h = e?.response?.headers;
+  const hinted =
+    headerDelayMs(h?.['retry-after']) ??
+    (e?.response?.status === 429
+      ? headerDelayMs(h?.['x-ratelimit-reset'])
+      : null);
+  const backoff = Math.min(
+    OZON_RETRY_MAX_MS,
+    OZON_RETRY_BASE_MS * 2 ** attempt,
+  );
+  const jitter = Math.random() * backoff * 0.5;
+  if (hinted != null) return Math.min(OZON_RETRY_MAX_MS, hinted + jitter);
+  return backoff / 2 + jitter;
+};
+
+const ozonPost = async (account, path, body) => {
+  for (let attempt = 0; ; attempt++) {
+    await throttle(account, path);
+    try {
+      return await ozonPostOnce(account, path, body);
+    } catch (e) {
+      if (attempt >= OZON_MAX_RETRIES || !isRetryable(e)) throw e;
+      const delay = Math.round(retryDelayMs(e, attempt));
+      metrics.ozonRetries.inc({ account: account.name, path });
+      writeLog({
+        kind: 'ozon_api',
+        event: 'retry',
+        account: account.name,
+        method: 'POST',
+        path,
+        status: e?.response?.status,
+        attempt: attempt + 1,
+        max_retries: OZON_MAX_RETRIES,
+        delay_ms: delay,
+        error: e?.message,
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+const ozonPostOnce = async (account, path, body) => {
   const url = `${API_BASE}${path}`;
   const started = Date.now();
   const reqBodyToLog = LOG_REQ_BODY ? trunc(redact(body)) : undefined;
   try {
     const { data, status, headers } = await axios.post(url, body, {
-      headers: HEADERS,
+      headers: {
+        'Client-Id': account.client_id,
+        'Api-Key': account.api_key,
+        'Content-Type': 'application/json',
+      },
       timeout: 30_000,
     });
+    trackRateLimit(account, headers);
     const duration = Date.now() - started;
+    metrics.ozonRequests.inc({ account: account.name, path, status });
+    metrics.ozonLatency.observe({ path }, duration / 1000);
     if (LOG_API) {
       writeLog({
         kind: 'ozon_api',
         event: 'success',
+        account: account.name,
         method: 'POST',
         path,
         status,
@@ -214,10 +2032,18 @@ const ozonPost = async (path, body) => {
     const duration = Date.now() - started;
     const status = e?.response?.status;
     const respData = e?.response?.data;
+    trackRateLimit(account, e?.response?.headers);
+    metrics.ozonRequests.inc({
+      account: account.name,
+      path,
+      status: status ?? 'error',
+    });
+    metrics.ozonLatency.observe({ path }, duration / 1000);
     if (LOG_API) {
       writeLog({
         kind: 'ozon_api',
         event: 'error',
+        account: account.name,
         method: 'POST',
         path,
         status,
@@ -231,38 +2057,98 @@ const ozonPost = async (path, body) => {
   }
 };
 
-async function* iterOffers() {
-  let last_id = '';
+// visibility: ALL — все, кроме архивных; ARCHIVED — только архив.
+// Страница — вместе с курсором следующей ('' — страниц больше нет);
+// last_id — продолжить с курсора, сохранённого прерванным сканом
+async function* iterOfferPages(account, visibility = 'ALL', last_id = '') {
   while (true) {
-    const body = { limit: 1000, last_id, filter: { visibility: 'ALL' } };
+    const body = { limit: 1000, last_id, filter: { visibility } };
     if (TRACK_OFFER_IDS.length) body.filter.offer_id = TRACK_OFFER_IDS;
-    const data = await ozonPost('/v3/product/list', body);
+    const data = await ozonPost(account, '/v3/product/list', body);
     const items = data?.result?.items ?? data?.result ?? data?.items ?? [];
     if (!items.length) break;
-    for (const it of items) {
-      if (it?.offer_id)
-        yield { offer_id: it.offer_id, product_id: it.product_id };
-    }
-    last_id = data?.result?.last_id || data?.last_id || '';
-    if (!last_id || TRACK_OFFER_IDS.length) break;
+    last_id = TRACK_OFFER_IDS.length
+      ? ''
+      : data?.result?.last_id || data?.last_id || '';
+    yield {
+      offers: items
+        .filter((it) => it?.offer_id)
+        .map((it) => ({
+          offer_id: it.offer_id,
+          product_id: it.product_id,
+          archived: visibility === 'ARCHIVED' || !!it.archived,
+        })),
+      total: data?.result?.total ?? null,
+      last_id,
+    };
+    if (!last_id) break;
   }
 }
 
-const fetchInfoList = async (offerIds) => {
+const fetchInfoList = async (account, offerIds) => {
   if (!offerIds.length) return [];
   const body = { offer_id: offerIds };
-  const data = await ozonPost('/v3/product/info/list', body);
+  const data = await ozonPost(account, '/v3/product/info/list', body);
   return data?.items || [];
 };
 
-const fetchInfoV2 = async (offerIds) => {
+const fetchInfoV2 = async (account, offerIds) => {
   if (!offerIds.length) return [];
   const body = { offer_id: offerIds };
-  const data = await ozonPost('/v2/product/info', body);
+  const data = await ozonPost(account, '/v2/product/info', body);
   return data?.items || data?.result || [];
 };
 
-const fetchAttributesV4 = async (offerIds) => {
+const fetchPricesV5 = async (account, offerIds) => {
+  if (!offerIds.length) return [];
+  const out = [];
+  let cursor = '';
+  while (true) {
+    const body = {
+      filter: { offer_id: offerIds, visibility: 'ALL' },
+      limit: 1000,
+      cursor,
+    };
+    const data = await ozonPost(account, '/v5/product/info/prices', body);
+    const items = data?.items || data?.result?.items || [];
+    out.push(...items);
+    cursor = data?.cursor || '';
+    if (!cursor || !items.length) break;
+  }
+  return out;
+};
+
+const fetchStocksV4 = async (account, offerIds) => {
+  if (!offerIds.length) return [];
+  const out = [];
+  let cursor = '';
+  while (true) {
+    const body = {
+      filter: { offer_id: offerIds, visibility: 'ALL' },
+      limit: 1000,
+      cursor,
+    };
+    const data = await ozonPost(account, '/v4/product/info/stocks', body);
+    const items = data?.items || data?.result?.items || [];
+    out.push(...items);
+    cursor = data?.cursor || '';
+    if (!cursor || !items.length) break;
+  }
+  return out;
+};
+
+// Бренд — атрибут 85 «Бренд»
+const pickBrand = (attrsItem) => {
+  const a = (attrsItem?.attributes || []).find(
+    (x) =>
+      x.attribute_id === 85 ||
+      (x.name || '').toString().toLowerCase() === 'бренд',
+  );
+  const v = a?.values?.[0];
+  return (v?.value ?? v?.text ?? null) || null;
+};
+
+const fetchAttributesV4 = async (account, offerIds) => {
   if (!offerIds.length) return [];
   const body = {
     filter: {
@@ -274,7 +2160,7 @@ const fetchAttributesV4 = async (offerIds) => {
     limit: 1000,
     sort_dir: 'ASC',
   };
-  const data = await ozonPost('/v4/product/info/attributes', body);
+  const data = await ozonPost(account, '/v4/product/info/attributes', body);
   // console.log('data data', data, 'data data');
   return data?.result || [];
 };
@@ -390,102 +2276,777 @@ const sizeFingerprint = (s) => {
   return crypto.createHash('sha256').update(str).digest('hex');
 };
 
-const pickSizeAttributes = (attrsItem) => {
-  console.log(attrsItem, 'test23131412');
-  const out = [];
-  const list = attrsItem?.attributes || [];
-  for (const a of list) {
-    console.log(a);
-    const name = (a.name || '').toString().toLowerCase();
-    // console.log(name);
-    if (SIZE_ATTR_PATTERNS.some((p) => name.includes(p))) {
-      const values = (a.values || [])
-        .map((v) => v?.value ?? v?.text ?? v?.dictionary_value_id)
-        .filter(Boolean);
-      out.push({ name: a.name, attribute_id: a.attribute_id, values });
-      console.log(values);
+const pickSizeAttributes = (attrsItem) => {
+  const out = [];
+  const list = attrsItem?.attributes || [];
+  for (const a of list) {
+    const name = (a.name || '').toString().toLowerCase();
+    if (SIZE_ATTR_PATTERNS.some((p) => name.includes(p))) {
+      const values = (a.values || [])
+        .map((v) => v?.value ?? v?.text ?? v?.dictionary_value_id)
+        .filter((v) => v != null && v !== '')
+        .map(String);
+      out.push({ name: a.name, attribute_id: a.attribute_id, values });
+    }
+  }
+  return out;
+};
+
+// Ключ атрибута — как в diffSizeAttributes: attribute_id (имя, если id нет).
+// Порядок атрибутов в ответе и переименование не меняют отпечаток, иначе
+// алерт «Изменение атрибутов размера» приходил бы пустым
+const attrKey = (a) => String(a.attribute_id ?? a.name);
+const attrFingerprint = (arr) => {
+  const norm = arr
+    .map((a) => ({ id: attrKey(a), v: a.values.slice().sort() }))
+    .sort((x, y) => (x.id < y.id ? -1 : x.id > y.id ? 1 : 0));
+  const str = JSON.stringify(norm);
+  return crypto.createHash('sha256').update(str).digest('hex');
+};
+// прежний отпечаток (с именем, в порядке ответа) — для снимков без size_attrs,
+// чтобы смена формулы не дала алерт по каждому товару
+const legacyAttrFingerprint = (arr) => {
+  const norm = arr.map((a) => ({
+    n: a.name,
+    id: a.attribute_id,
+    v: a.values.slice().sort(),
+  }));
+  const str = JSON.stringify(norm);
+  return crypto.createHash('sha256').update(str).digest('hex');
+};
+
+const DIM_FIELDS = [
+  { key: 'depth_mm', kind: 'dims', label: 'Длина/Глубина', unit: ' мм' },
+  { key: 'width_mm', kind: 'dims', label: 'Ширина', unit: ' мм' },
+  { key: 'height_mm', kind: 'dims', label: 'Высота', unit: ' мм' },
+  { key: 'weight_g', kind: 'weight', label: 'Вес', unit: ' г' },
+];
+
+// допуски для товара: правило группы перекрывает только заданные в нём поля
+const toleranceFor = (offer_id) => {
+  const rule = TOLERANCE_RULES.find((r) => offer_id.startsWith(r.prefix));
+  if (!rule) return DIM_TOLERANCE;
+  const pick = (kind, key) => rule[kind][key] ?? DIM_TOLERANCE[kind][key];
+  return {
+    dims: { abs: pick('dims', 'abs'), pct: pick('dims', 'pct') },
+    weight: { abs: pick('weight', 'abs'), pct: pick('weight', 'pct') },
+  };
+};
+
+// ================== Логистика: объём и габаритный класс ==================
+const LOGISTICS_FIELDS = [
+  { key: 'size_class', kind: 'logistics', label: 'Габаритный класс', unit: '' },
+  { key: 'volume_tier', kind: 'logistics', label: 'Ступень объёма', unit: '' },
+];
+
+const volumeTier = (volume_l) => {
+  if (volume_l == null || !VOLUME_TIERS_L.length) return null;
+  const i = VOLUME_TIERS_L.findIndex((b) => volume_l <= b);
+  if (i === 0) return `до ${VOLUME_TIERS_L[0]} л`;
+  if (i === -1) return `свыше ${VOLUME_TIERS_L.at(-1)} л`;
+  return `${VOLUME_TIERS_L[i - 1]}–${VOLUME_TIERS_L[i]} л`;
+};
+
+// без всех трёх сторон объём и класс не считаем
+const logistics = (d) => {
+  const sides = [d.depth_mm, d.width_mm, d.height_mm];
+  if (sides.some((x) => x == null))
+    return {
+      volume_l: null,
+      volumetric_weight_kg: null,
+      size_class: null,
+      volume_tier: null,
+    };
+  const mm3 = sides[0] * sides[1] * sides[2];
+  const volume_l = +(mm3 / 1e6).toFixed(3);
+  const volumetric_weight_kg = +(mm3 / 1000 / VOLUMETRIC_DIVISOR).toFixed(3);
+  const measured = {
+    max_side_mm: Math.max(...sides),
+    max_sum_mm: sides[0] + sides[1] + sides[2],
+    max_weight_g: d.weight_g ?? null,
+    max_volume_l: volume_l,
+    max_volumetric_kg: volumetric_weight_kg,
+  };
+  const cls = SIZE_CLASSES.find((c) =>
+    Object.entries(c.limits).every(
+      ([k, limit]) => measured[k] == null || measured[k] <= limit,
+    ),
+  );
+  return {
+    volume_l,
+    volumetric_weight_kg,
+    size_class: cls?.name ?? null,
+    volume_tier: volumeTier(volume_l),
+  };
+};
+
+// смена класса/ступени; переход из «неизвестно» сменой не считаем
+const logisticsChanges = (oldL, newL) =>
+  LOGISTICS_FIELDS.filter(
+    (f) =>
+      oldL[f.key] != null && newL[f.key] != null && oldL[f.key] !== newL[f.key],
+  ).map((f) => ({ ...f, from: oldL[f.key], to: newL[f.key] }));
+
+const withinTolerance = (c, tol) => {
+  if (c.delta == null) return false; // значение появилось или пропало
+  if (tol.abs != null && Math.abs(c.delta) <= tol.abs) return true;
+  return tol.pct != null && c.pct != null && Math.abs(c.pct) <= tol.pct;
+};
+
+const dimChanges = (oldDims, newDims, tolerance) =>
+  DIM_FIELDS.filter(
+    (f) => (oldDims[f.key] ?? null) !== (newDims[f.key] ?? null),
+  ).map((f) => {
+    const from = oldDims[f.key] ?? null;
+    const to = newDims[f.key] ?? null;
+    const delta = from != null && to != null ? +(to - from).toFixed(2) : null;
+    const pct =
+      delta != null && from ? +((delta / from) * 100).toFixed(2) : null;
+    const c = { ...f, from, to, delta, pct };
+    return { ...c, withinTolerance: withinTolerance(c, tolerance[f.kind]) };
+  });
+
+// Сравнение наборов атрибутов по attribute_id (или имени, если id нет)
+const diffSizeAttributes = (oldArr, newArr) => {
+  const oldMap = new Map(oldArr.map((a) => [attrKey(a), a]));
+  const newMap = new Map(newArr.map((a) => [attrKey(a), a]));
+  const changes = [];
+  for (const [k, n] of newMap) {
+    const o = oldMap.get(k);
+    if (!o) {
+      changes.push({ kind: 'appeared', name: n.name, values: n.values });
+      continue;
     }
+    const added = n.values.filter((v) => !o.values.includes(v));
+    const removed = o.values.filter((v) => !n.values.includes(v));
+    if (added.length || removed.length)
+      changes.push({
+        kind: 'changed',
+        name: n.name || o.name,
+        oldValues: o.values,
+        newValues: n.values,
+        added,
+        removed,
+      });
   }
-  return out;
+  for (const [k, o] of oldMap) {
+    if (!newMap.has(k))
+      changes.push({ kind: 'disappeared', name: o.name, values: o.values });
+  }
+  return changes;
 };
 
-const attrFingerprint = (arr) => {
-  const norm = arr.map((a) => ({
-    n: a.name,
-    id: a.attribute_id,
-    v: a.values.slice().sort(),
+// ================== Цены: нормализация ==================
+const PRICE_FIELDS = [
+  { key: 'price', label: 'Цена' },
+  { key: 'old_price', label: 'Цена до скидки' },
+  { key: 'min_price', label: 'Мин. цена' },
+  { key: 'marketing_price', label: 'Маркетинговая цена' },
+];
+
+const money = (v) => {
+  if (v == null || v === '') return null;
+  const x = Number(v);
+  return isFinite(x) ? +x.toFixed(2) : null;
+};
+
+const extractPrices = (item) => {
+  const p = item?.price || {};
+  return {
+    price: money(p.price),
+    old_price: money(p.old_price),
+    min_price: money(p.min_price),
+    marketing_price: money(p.marketing_price ?? p.marketing_seller_price),
+    currency: p.currency_code || null,
+  };
+};
+
+const priceChanges = (oldP, newP) =>
+  PRICE_FIELDS.filter(
+    (f) => (oldP[f.key] ?? null) !== (newP[f.key] ?? null),
+  ).map((f) => {
+    const from = oldP[f.key] ?? null;
+    const to = newP[f.key] ?? null;
+    const delta = from != null && to != null ? +(to - from).toFixed(2) : null;
+    const pct =
+      delta != null && from ? +((delta / from) * 100).toFixed(2) : null;
+    return { ...f, from, to, delta, pct };
+  });
+
+// изменение проходит порог чата, если хотя бы одно поле его достигло
+const passesPriceThreshold = (chat, changes) => {
+  const abs = chat.price_threshold_abs;
+  const pct = chat.price_threshold_pct;
+  if (abs == null && pct == null) return true;
+  return changes.some((c) => {
+    if (c.delta == null) return true; // цена появилась или пропала
+    if (abs != null) return Math.abs(c.delta) >= abs;
+    return c.pct == null || Math.abs(c.pct) >= pct;
+  });
+};
+
+// ================== Модерация и ошибки ==================
+const MODERATION_PENDING = ['moderating', 'in_moderation', 'on_moderation'];
+
+// v3 отдаёт statuses/errors, v2 — status.{state, moderate_status, item_errors}
+const extractModeration = (it) => {
+  const st = it?.statuses || (typeof it?.status === 'object' ? it.status : {});
+  const errors = (it?.errors || st?.item_errors || []).map((e) => ({
+    code: e?.code || '',
+    attribute_id: e?.attribute_id ?? null,
+    field: e?.field || '',
+    level: e?.level || '',
+    attribute: e?.texts?.attribute_name || '',
+    text:
+      e?.texts?.short_description ||
+      e?.texts?.description ||
+      e?.texts?.message ||
+      e?.description ||
+      '',
   }));
-  const str = JSON.stringify(norm);
-  return crypto.createHash('sha256').update(str).digest('hex');
+  return {
+    status: st?.status || st?.state || null,
+    moderate_status: (st?.moderate_status || '').toLowerCase() || null,
+    errors,
+  };
 };
 
+const errorKey = (e) => `${e.code}|${e.attribute_id ?? ''}|${e.field}`;
+
+// ================== Остатки ==================
+// суммируем по типу склада: Ozon может вернуть несколько записей одного типа
+const extractStocks = (item) => {
+  const byType = new Map();
+  for (const st of item?.stocks || []) {
+    const type = (st?.type || '').toString().toLowerCase();
+    if (!type) continue;
+    const cur = byType.get(type) || { present: 0, reserved: 0 };
+    cur.present += Number(st.present) || 0;
+    cur.reserved += Number(st.reserved) || 0;
+    byType.set(type, cur);
+  }
+  return byType;
+};
+
+// события по типу склада: out — закончился, back — снова в наличии
+const stockEvents = (prevByType, nextByType) => {
+  const events = [];
+  const types = new Set([...prevByType.keys(), ...nextByType.keys()]);
+  for (const type of types) {
+    const prev = prevByType.get(type);
+    const next = nextByType.get(type) || { present: 0, reserved: 0 };
+    if (!prev) continue;
+    if (prev.present > 0 && next.present === 0)
+      events.push({ type, kind: 'out', from: prev.present, to: 0, ...next });
+    else if (prev.present === 0 && next.present > 0)
+      events.push({ type, kind: 'back', from: 0, to: next.present, ...next });
+    else if (next.present > 0 && next.present < prev.present)
+      events.push({ type, kind: 'drop', from: prev.present, to: next.present });
+  }
+  return events;
+};
+
+// «мало остатков» — остаток пересёк порог чата сверху вниз
+const crossedLowStock = (threshold, e) =>
+  threshold != null && e.from >= threshold && e.to < threshold && e.to > 0;
+
 // ================== Сообщения ==================
+const esc = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
 const fmt = (v, unit) => (v == null ? '—' : `${v}${unit || ''}`);
-const dimDiffMessage = (offer_id, it, oldDims, newDims) => {
-  const title = it.name || offer_id;
-  const lines = [];
-  if ((oldDims.depth_mm ?? null) !== (newDims.depth_mm ?? null))
-    lines.push(
-      `• Длина/Глубина: <code>${fmt(
-        oldDims.depth_mm,
-        ' мм',
-      )}</code> → <code>${fmt(newDims.depth_mm, ' мм')}</code>`,
+const signed = (x) => (x > 0 ? `+${x}` : `${x}`.replace('-', '−'));
+const deltaSuffix = (c) =>
+  c.delta == null
+    ? ''
+    : ` (${signed(c.delta)}${c.pct == null ? '' : `, ${signed(c.pct)}%`})`;
+const logisticsLines = (oldL, newL) =>
+  [
+    ['Объём', 'volume_l', ' л'],
+    ['Объёмный вес', 'volumetric_weight_kg', ' кг'],
+  ]
+    .filter(([, key]) => oldL[key] !== newL[key])
+    .map(
+      ([label, key, unit]) =>
+        `• ${label}: <code>${fmt(oldL[key], unit)}</code> → <code>${fmt(
+          newL[key],
+          unit,
+        )}</code>`,
     );
-  if ((oldDims.width_mm ?? null) !== (newDims.width_mm ?? null))
+const dimDiffMessage = (offer_id, it, changes, logi) => {
+  const title = esc(it.name || offer_id);
+  const moved = logisticsChanges(logi.from, logi.to);
+  const cls = moved.find((c) => c.key === 'size_class');
+  const headline = cls
+    ? `📦 Смена габаритного класса: ${esc(cls.from)} → ${esc(cls.to)}`
+    : moved.length
+      ? `📦 Новая ступень объёма: ${esc(moved[0].from)} → ${esc(moved[0].to)}`
+      : 'Изменение размеров';
+  const lines = changes.map(
+    (c) =>
+      `• ${c.label}: <code>${fmt(c.from, c.unit)}</code> → <code>${fmt(
+        c.to,
+        c.unit,
+      )}</code>${deltaSuffix(c)}${c.withinTolerance ? ' · в пределах допуска' : ''}`,
+  );
+  lines.push(...logisticsLines(logi.from, logi.to));
+  if (cls && logi.from.volume_tier !== logi.to.volume_tier)
     lines.push(
-      `• Ширина: <code>${fmt(oldDims.width_mm, ' мм')}</code> → <code>${fmt(
-        newDims.width_mm,
-        ' мм',
+      `• Ступень объёма: <code>${fmt(logi.from.volume_tier)}</code> → <code>${fmt(
+        logi.to.volume_tier,
       )}</code>`,
     );
-  if ((oldDims.height_mm ?? null) !== (newDims.height_mm ?? null))
+  const updated = it.updated_at || it.updatedAt || '';
+  return `<b>${headline}</b> — <code>${esc(offer_id)}</code>
+${title}
+Обновлено: <code>${esc(updated)}</code>
+
+${lines.join('\n')}`;
+};
+
+const currencySign = (c) => (!c || c === 'RUB' ? ' ₽' : ` ${c}`);
+const priceDiffMessage = (offer_id, it, changes, currency) => {
+  const title = esc(it.name || offer_id);
+  const cur = currencySign(currency);
+  const lines = changes.map(
+    (c) =>
+      `• ${c.label}: <code>${fmt(c.from, cur)}</code> → <code>${fmt(
+        c.to,
+        cur,
+      )}</code>${deltaSuffix(c)}`,
+  );
+  return `<b>Изменение цены</b> — <code>${esc(offer_id)}</code>
+${title}
+
+${lines.join('\n')}`;
+};
+
+const STOCK_HEADLINES = {
+  out: '🔴 Нет в наличии',
+  back: '🟢 Снова в наличии',
+  low: '🟡 Мало остатков',
+};
+const stockMessage = (offer_id, it, kind, events) => {
+  const title = esc(it.name || offer_id);
+  const lines = events.map(
+    (e) =>
+      `• ${e.type.toUpperCase()}: <code>${e.from}</code> → <code>${e.to}</code> шт.`,
+  );
+  return `<b>${STOCK_HEADLINES[kind]}</b> — <code>${esc(offer_id)}</code>
+${title}
+
+${lines.join('\n')}`;
+};
+
+const newProductMessage = (
+  offer_id,
+  it,
+  dims,
+  logi,
+) => `<b>🆕 Новый товар</b> — <code>${esc(offer_id)}</code>
+${esc(it.name || '')}
+Размеры: Д=${fmt(dims.depth_mm, ' мм')}, Ш=${fmt(dims.width_mm, ' мм')}, В=${fmt(
+  dims.height_mm,
+  ' мм',
+)}, Вес=${fmt(dims.weight_g, ' г')}${
+  logi.size_class
+    ? `\nОбъём: ${fmt(logi.volume_l, ' л')}, класс: ${esc(logi.size_class)}`
+    : ''
+}`;
+
+// сохранённый снимок товара (src/cli.js show)
+const productCardMessage = (row) => {
+  const attrs = row.size_attrs ? JSON.parse(row.size_attrs) : [];
+  const lines = [
+    `<b>${esc(row.name || row.offer_id)}</b> — <code>${esc(row.offer_id)}</code>`,
+    `🏷 ${esc(row.account)}${row.brand ? ` · ${esc(row.brand)}` : ''}${
+      row.archived ? ' · в архиве' : ''
+    }`,
+    `Размеры: Д=${fmt(row.depth_mm, ' мм')}, Ш=${fmt(row.width_mm, ' мм')}, В=${fmt(
+      row.height_mm,
+      ' мм',
+    )}, Вес=${fmt(row.weight_g, ' г')}`,
+    `Объём: ${fmt(row.volume_l, ' л')}, объёмный вес: ${fmt(
+      row.volumetric_weight_kg,
+      ' кг',
+    )}, класс: ${esc(fmt(row.size_class))}, ступень: ${esc(fmt(row.volume_tier))}`,
+    ...attrs.map((a) => `• ${esc(a.name)}: ${esc(a.values.join(', '))}`),
+    `Обновлено в Ozon: <code>${esc(fmt(row.updated_at))}</code>, последний скан: ${fmt(
+      row.last_seen_at,
+    )}`,
+  ];
+  if (!row.dim_hash)
+    lines.push('⚪️ База сравнения сброшена — её заполнит следующий скан');
+  return lines.join('\n');
+};
+
+const archiveMessage = (offer_id, it, archived) =>
+  `<b>${
+    archived ? '🗄 Товар перенесён в архив' : '♻️ Товар вернулся из архива'
+  }</b> — <code>${esc(offer_id)}</code>
+${esc(it.name || offer_id)}`;
+
+const disappearedMessage = (row, scans) =>
+  `<b>👻 Товар пропал из каталога</b> — <code>${esc(row.offer_id)}</code>
+${esc(row.name || row.offer_id)}
+Ozon не возвращает его уже ${scans} скан(а/ов) подряд`;
+
+const errorLine = (e) =>
+  `• <code>${esc(e.code || '—')}</code>${
+    e.attribute ? ` (${esc(e.attribute)})` : ''
+  } — ${esc(e.text || 'без описания')}`;
+
+const moderationMessage = (offer_id, it, prevStatus, next, newErrors) => {
+  const declined =
+    next.moderate_status === 'declined' && prevStatus !== 'declined';
+  const pending =
+    MODERATION_PENDING.includes(next.moderate_status) &&
+    !MODERATION_PENDING.includes(prevStatus);
+  const headline = declined
+    ? '⛔ Товар отклонён модерацией'
+    : pending
+      ? '🔁 Товар снова на модерации'
+      : '⚠️ Новые ошибки товара';
+  const lines = [];
+  if (declined || pending)
     lines.push(
-      `• Высота: <code>${fmt(oldDims.height_mm, ' мм')}</code> → <code>${fmt(
-        newDims.height_mm,
-        ' мм',
+      `Статус модерации: <code>${esc(prevStatus || '—')}</code> → <code>${esc(
+        next.moderate_status,
       )}</code>`,
     );
-  if ((oldDims.weight_g ?? null) !== (newDims.weight_g ?? null))
-    lines.push(
-      `• Вес: <code>${fmt(oldDims.weight_g, ' г')}</code> → <code>${fmt(
-        newDims.weight_g,
-        ' г',
-      )}</code>`,
+  if (newErrors.length)
+    lines.push(`Новые ошибки:\n${newErrors.map(errorLine).join('\n')}`);
+  return `<b>${headline}</b> — <code>${esc(offer_id)}</code>
+${esc(it.name || offer_id)}
+
+${lines.join('\n\n')}`;
+};
+
+// длинный текст режем по строкам под лимит Telegram (4096)
+const TG_MESSAGE_LIMIT = 4000;
+const splitMessage = (text, limit = TG_MESSAGE_LIMIT) => {
+  const parts = [];
+  let cur = '';
+  for (const line of text.split('\n')) {
+    if (cur && cur.length + line.length + 1 > limit) {
+      parts.push(cur);
+      cur = '';
+    }
+    cur = cur ? `${cur}\n${line}` : line.slice(0, limit);
+  }
+  if (cur) parts.push(cur);
+  return parts;
+};
+
+// ================== Дайджест ==================
+const DIGEST_TYPES = [
+  ['dims', '📐 Размеры'],
+  ['attrs', '📏 Атрибуты размера'],
+  ['price', '💰 Цены'],
+  ['stock', '📦 Остатки'],
+  ['new', '🆕 Новые товары'],
+  ['archive', '🗄 Архив'],
+  ['disappeared', '👻 Пропавшие'],
+  ['moderation', '🛡 Модерация'],
+  ['other', 'Прочее'],
+];
+
+const digestText = (mode, items) => {
+  const counts = new Map();
+  for (const it of items) counts.set(it.type, (counts.get(it.type) || 0) + 1);
+  const summary = DIGEST_TYPES.filter(([t]) => counts.has(t)).map(
+    ([t, label]) => `• ${label}: ${counts.get(t)}`,
+  );
+  const period = { hourly: 'за час', daily: 'за сутки' }[mode] || '';
+  return `<b>📬 Дайджест ${period}</b> — изменений: ${items.length}
+${summary.join('\n')}
+
+${items.map((it) => it.body).join('\n\n')}`;
+};
+
+const stripHtml = (html) =>
+  html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+// ================== Каналы уведомлений ==================
+// Telegram — чаты из chats (подписки, дайджест); вебхук и email получают
+// алерты по товарам тех типов, что перечислены в их types (NOTIFY_CHANNELS)
+const channelConfigs = parseChannels(NOTIFY_CHANNELS, {
+  knownTypes: DIGEST_TYPES.map(([t]) => t),
+});
+const telegramChannel = createTelegramChannel(
+  bot.telegram,
+  channelConfigs.find((c) => c.type === 'telegram'),
+);
+const extraChannels = channelConfigs
+  .filter((c) => c.type !== 'telegram')
+  .map((c) =>
+    c.type === 'webhook'
+      ? createWebhookChannel(c)
+      : createEmailChannel(c, {
+          transport: SMTP_URL,
+          defaultFrom: SMTP_FROM,
+          typeLabels: Object.fromEntries(DIGEST_TYPES),
+        }),
+  );
+const channels = new Map(
+  [telegramChannel, ...extraChannels].map((c) => [c.name, c]),
+);
+
+// JSON для вебхука/email: текст без разметки и исходный HTML
+const channelMessage = (body, target, type) => ({
+  type,
+  account: target.account ?? null,
+  offer_id: target.offer_id ?? null,
+  brand: target.brand ?? null,
+  text: stripHtml(body),
+  html: body,
+  created_at: new Date().toISOString(),
+});
+
+// начало текущего окна: начало часа или сегодняшний DIGEST_DAILY_HOUR
+const digestSlotStart = (mode, now = new Date()) => {
+  const d = new Date(now);
+  d.setMinutes(0, 0, 0);
+  if (mode === 'daily') {
+    if (d.getHours() < DIGEST_DAILY_HOUR) d.setDate(d.getDate() - 1);
+    d.setHours(DIGEST_DAILY_HOUR);
+  }
+  return d.getTime();
+};
+
+// дайджест переезжает в outbox одной транзакцией — ничего не теряется и не дублируется
+const txQueueDigest = db.transaction((chatId, lastId, inline, rest) => {
+  for (const [i, part] of inline.entries()) {
+    const tail =
+      rest.length && i === inline.length - 1
+        ? '\n\n📎 Продолжение — во вложении'
+        : '';
+    stmtOutboxAdd.run(chatId, 'sendMessage', part + tail, null);
+  }
+  if (rest.length)
+    stmtOutboxAdd.run(
+      chatId,
+      'sendDocument',
+      stripHtml(rest.join('\n')),
+      JSON.stringify({
+        filename: `digest-${new Date().toISOString().slice(0, 10)}.txt`,
+        caption: `Продолжение дайджеста: ещё ${rest.length} сообщ.`,
+      }),
     );
-  const updated = it.updated_at || it.updatedAt || '';
-  return `<b>Изменение размеров</b> — <code>${offer_id}</code>
-${title}
-Обновлено: <code>${updated}</code>
+  stmtDropDigest.run(chatId, lastId);
+});
 
-${lines.join('\n')}`;
+// шлём накопленное одним дайджестом
+const flushDigest = async (chat) => {
+  const items = stmtDigestItems.all(chat.chat_id);
+  if (items.length) {
+    const parts = splitMessage(digestText(chat.delivery_mode, items));
+    const inline = parts.slice(0, DIGEST_MAX_MESSAGES);
+    const rest = parts.slice(DIGEST_MAX_MESSAGES);
+    txQueueDigest(chat.chat_id, items.at(-1).id, inline, rest);
+    kickOutbox();
+    writeLog({
+      kind: 'digest',
+      event: 'sent',
+      chat_id: chat.chat_id,
+      items: items.length,
+      messages: inline.length,
+      file: rest.length > 0,
+    });
+  }
+  stmtMarkDigestSent.run(Date.now(), chat.chat_id);
+};
+
+let isFlushingDigests = false;
+const flushDigests = async () => {
+  if (isFlushingDigests) return;
+  isFlushingDigests = true;
+  try {
+    for (const chat of getChats()) {
+      if (!chat.delivery_mode || chat.delivery_mode === 'instant') continue;
+      if ((chat.digest_sent_at ?? 0) >= digestSlotStart(chat.delivery_mode))
+        continue;
+      await flushDigest(chat);
+    }
+  } finally {
+    isFlushingDigests = false;
+  }
+};
+
+// строка журнала product_changes для /history
+const changeLine = (r) => {
+  if (r.kind === 'moderation') {
+    const label = r.field === 'errors' ? 'Ошибки' : 'Статус модерации';
+    return `• ${label}: <code>${esc(r.old_value ?? '—')}</code> → <code>${esc(
+      r.new_value ?? '—',
+    )}</code>`;
+  }
+  if (r.kind === 'lifecycle') {
+    const yesNo = (x) => (x == null ? '—' : x === '1' ? 'да' : 'нет');
+    const label = r.field === 'archived' ? 'В архиве' : 'В каталоге';
+    return `• ${label}: <code>${yesNo(r.old_value)}</code> → <code>${yesNo(
+      r.new_value,
+    )}</code>`;
+  }
+  const f =
+    r.kind === 'price'
+      ? { ...PRICE_FIELDS.find((x) => x.key === r.field), unit: ' ₽' }
+      : [...DIM_FIELDS, ...LOGISTICS_FIELDS].find((x) => x.key === r.field);
+  const label = f ? f.label : `«${esc(r.field)}»`;
+  const unit = f ? f.unit : '';
+  const v = (x) => `<code>${x == null ? '—' : esc(x) + unit}</code>`;
+  return `• ${label}: ${v(r.old_value)} → ${v(r.new_value)}`;
 };
 
+// oldArr === null — прежние значения не сохранены (БД старой версии)
 const attrDiffMessage = (offer_id, it, oldArr, newArr) => {
-  const title = it.name || offer_id;
-  const toLine = (arr) =>
-    arr.map((a) => `${a.name}: ${a.values.join(', ')}`).join('; ');
-  return `<b>Изменение атрибутов размера</b> — <code>${offer_id}</code>
+  const title = esc(it.name || offer_id);
+  const vals = (arr) =>
+    `<code>${arr.length ? esc(arr.join(', ')) : '—'}</code>`;
+  const lines = [];
+  if (oldArr == null) {
+    lines.push('Прежние значения не сохранены, текущие:');
+    for (const a of newArr) lines.push(`• ${esc(a.name)}: ${vals(a.values)}`);
+  } else {
+    for (const c of diffSizeAttributes(oldArr, newArr)) {
+      if (c.kind === 'appeared') {
+        lines.push(`• Появился атрибут «${esc(c.name)}»: ${vals(c.values)}`);
+      } else if (c.kind === 'disappeared') {
+        lines.push(
+          `• Пропал атрибут «${esc(c.name)}» (было: ${vals(c.values)})`,
+        );
+      } else {
+        lines.push(
+          `• ${esc(c.name)}: ${vals(c.oldValues)} → ${vals(c.newValues)}`,
+        );
+        if (c.added.length) lines.push(`   добавлено: ${vals(c.added)}`);
+        if (c.removed.length) lines.push(`   удалено: ${vals(c.removed)}`);
+      }
+    }
+  }
+  return `<b>Изменение атрибутов размера</b> — <code>${esc(offer_id)}</code>
 ${title}
 
-${toLine(oldArr)}
-→
-${toLine(newArr)}`;
+${lines.join('\n')}`;
 };
 
 // ================== Основной скан ==================
 const chunk = (arr, n) =>
   arr.reduce((acc, _, i) => (i % n ? acc : [...acc, arr.slice(i, i + n)]), []);
 
-const processBatch = async (offerIds) => {
+// Цены: отдельный запрос, свой снимок в product_prices
+const processPrices = async (offerIds, scan, infoByOffer, targets) => {
+  const account = scan.account.name;
+  const items = await fetchPricesV5(scan.account, offerIds);
+  const rows = [];
+  const changes = [];
+  for (const item of items) {
+    const offer_id = item.offer_id;
+    if (!offer_id) continue;
+    const next = extractPrices(item);
+    const prev = stmtGetPrice.get(account, offer_id);
+    if (prev) {
+      const diff = priceChanges(prev, next);
+      if (diff.length) {
+        for (const c of diff)
+          changes.push({
+            account,
+            offer_id,
+            scan_id: scan.id,
+            kind: 'price',
+            field: c.key,
+            old_value: c.from == null ? null : String(c.from),
+            new_value: c.to == null ? null : String(c.to),
+          });
+        const info = infoByOffer.get(offer_id) || { offer_id };
+        await notifyAll(
+          priceDiffMessage(offer_id, info, diff, next.currency),
+          {
+            ...(targets.get(offer_id) || { account, offer_id }),
+            accept: (chat) => passesPriceThreshold(chat, diff),
+          },
+          'price',
+        );
+      }
+    }
+    rows.push({ account, offer_id, ...next });
+  }
+  if (rows.length) txSavePrices(rows, changes);
+};
+
+// Остатки: present/reserved по FBO/FBS, снимок в product_stocks
+const processStocks = async (offerIds, scan, infoByOffer, targets) => {
+  const account = scan.account.name;
+  const items = await fetchStocksV4(scan.account, offerIds);
+  const rows = [];
+  for (const item of items) {
+    const offer_id = item.offer_id;
+    if (!offer_id) continue;
+    const next = extractStocks(item);
+    const prev = new Map(
+      stmtGetStocks.all(account, offer_id).map((r) => [r.type, r]),
+    );
+    const events = stockEvents(prev, next);
+    const info = infoByOffer.get(offer_id) || { offer_id };
+    const target = targets.get(offer_id) || { account, offer_id };
+    for (const kind of ['out', 'back']) {
+      const list = events.filter((e) => e.kind === kind);
+      if (list.length)
+        await notifyAll(
+          stockMessage(offer_id, info, kind, list),
+          target,
+          'stock',
+        );
+    }
+    const drops = events.filter((e) => e.kind === 'drop');
+    if (drops.length) {
+      await notifyAll(
+        stockMessage(offer_id, info, 'low', drops),
+        {
+          ...target,
+          accept: (chat) =>
+            drops.some((e) => crossedLowStock(chat.low_stock_threshold, e)),
+        },
+        'stock',
+      );
+    }
+    // пропавший из ответа тип склада считаем обнулившимся
+    for (const type of prev.keys())
+      if (!next.has(type)) next.set(type, { present: 0, reserved: 0 });
+    for (const [type, st] of next)
+      rows.push({ account, offer_id, type, ...st });
+  }
+  if (rows.length) txSaveStocks(rows);
+};
+
+const infoUpdatedAt = (info) => info?.updated_at || info?.updatedAt || '';
+
+const processBatch = async (batch, scan) => {
+  const account = scan.account.name;
+  const offerIds = batch.map((o) => o.offer_id);
+  const archivedByOffer = new Map(batch.map((o) => [o.offer_id, o.archived]));
+
   // 1) тянем основную инфо
   let infoItems = [];
   try {
-    infoItems = await fetchInfoList(offerIds);
+    infoItems = await fetchInfoList(scan.account, offerIds);
   } catch (e) {
+    writeLog({
+      kind: 'scan',
+      event: 'info_list_failed',
+      scan_id: scan.id,
+      error: e?.message,
+    });
     // фолбэк меньшими пачками
     for (const bb of chunk(offerIds, 100)) {
       try {
-        infoItems.push(...(await fetchInfoV2(bb)));
+        infoItems.push(...(await fetchInfoV2(scan.account, bb)));
       } catch {}
     }
   }
@@ -493,23 +3054,76 @@ const processBatch = async (offerIds) => {
 
   // 2) опционально тянем атрибуты
   let attrsByOffer = new Map();
+  const trackAttrs =
+    SIZE_TRACKING_MODE === 'ATTRIBUTE' || SIZE_TRACKING_MODE === 'BOTH';
+  const fetchAttrs = attrsNeeded();
+  const prevByOffer = new Map(
+    offerIds.map((id) => [id, stmtGetProd.get(account, id)]),
+  );
 
-  if (SIZE_TRACKING_MODE === 'ATTRIBUTE' || SIZE_TRACKING_MODE === 'BOTH') {
-    // 1) Ждём запрос
-    const attrItems = await fetchAttributesV4(offerIds);
+  // инкрементальный скан: у товара с прежним updated_at атрибуты не перезапрашиваем,
+  // размеры, бренд и снимок атрибутов остаются из БД. Пропущенными считаем, только
+  // если атрибуты вообще запрашивались бы
+  const unchanged = new Set(
+    scan.incremental && fetchAttrs
+      ? offerIds.filter((id) => {
+          const prev = prevByOffer.get(id);
+          const updatedAt = infoUpdatedAt(infoByOffer.get(id));
+          return (
+            prev &&
+            updatedAt &&
+            prev.updated_at === updatedAt &&
+            (!trackAttrs || prev.attr_hash)
+          );
+        })
+      : [],
+  );
+  const attrOfferIds = offerIds.filter((id) => !unchanged.has(id));
+  scan.offersSkipped += unchanged.size;
 
-    attrsByOffer = new Map(attrItems.map((x) => [x.offer_id, x]));
-    // console.log(attrsByOffer);
+  // атрибуты нужны и для подписок по бренду; сбой (после ретраев) не роняет
+  // батч — размеры и атрибуты этих товаров просто остаются прежними
+  let attrsFailed = false;
+  if (fetchAttrs) {
+    // один запрос на батч до 1000 товаров; пустой список — без запроса
+    scan.callsSaved +=
+      Math.ceil(offerIds.length / 1000) - Math.ceil(attrOfferIds.length / 1000);
+    try {
+      const attrItems = await fetchAttributesV4(scan.account, attrOfferIds);
+      attrsByOffer = new Map(attrItems.map((x) => [x.offer_id, x]));
+    } catch (e) {
+      attrsFailed = true;
+      writeLog({
+        kind: 'scan',
+        event: 'attributes_failed',
+        scan_id: scan.id,
+        offers: offerIds.length,
+        error: e?.message,
+      });
+    }
   }
 
   // 3) сравнение с БД
   const upserts = [];
+  const changes = [];
+  const targets = new Map();
+  const logChange = (offer_id, kind, field, old_value, new_value) =>
+    changes.push({
+      account,
+      offer_id,
+      scan_id: scan.id,
+      kind,
+      field,
+      old_value: old_value == null ? null : String(old_value),
+      new_value: new_value == null ? null : String(new_value),
+    });
   for (const offer_id of offerIds) {
     const info = infoByOffer.get(offer_id) || { offer_id };
     const attrs = attrsByOffer.get(offer_id) || {};
 
-    // приоритет — размеры из v4 (корневые поля)
-    let dims = extractDimsFromAttrsRoot(attrs);
+    // приоритет — размеры из v4 (корневые поля); атрибуты, скачанные только
+    // ради бренда, источник размеров не меняют
+    let dims = extractDimsFromAttrsRoot(trackAttrs ? attrs : {});
     const hasAny = [
       dims.depth_mm,
       dims.width_mm,
@@ -521,8 +3135,98 @@ const processBatch = async (offerIds) => {
       if (info && Object.keys(info).length) dims = extractDimsFromInfo(info);
     }
 
+    const prev = prevByOffer.get(offer_id);
+    // источник размеров не ответил (или его не спрашивали) — не выдаём это за обнуление
+    const noSource =
+      (!infoByOffer.has(offer_id) && !attrsByOffer.has(offer_id)) ||
+      (trackAttrs && (attrsFailed || unchanged.has(offer_id)));
+    if (prev && noSource)
+      dims = {
+        depth_mm: prev.depth_mm,
+        width_mm: prev.width_mm,
+        height_mm: prev.height_mm,
+        weight_g: prev.weight_g,
+      };
+
     const newHash = sizeFingerprint(dims);
-    const prev = stmtGetProd.get(offer_id);
+    const logi = logistics(dims);
+    const brand = attrsByOffer.has(offer_id)
+      ? pickBrand(attrs)
+      : (prev?.brand ?? null);
+    const target = { account, offer_id, brand };
+    targets.set(offer_id, target);
+    const archived = archivedByOffer.get(offer_id) ? 1 : 0;
+
+    // новый товар — кроме самого первого скана, когда БД ещё пустая
+    if (!prev && !scan.baseline && NOTIFY_ON_NEW_PRODUCT)
+      await notifyAll(
+        newProductMessage(offer_id, info, dims, logi),
+        target,
+        'new',
+      );
+
+    if (prev && prev.archived != null && prev.archived !== archived) {
+      logChange(offer_id, 'lifecycle', 'archived', prev.archived, archived);
+      await notifyAll(
+        archiveMessage(offer_id, info, !!archived),
+        target,
+        'archive',
+      );
+    }
+    if (prev && prev.missing_scans >= DISAPPEAR_AFTER_SCANS)
+      logChange(offer_id, 'lifecycle', 'listed', 0, 1);
+
+    // модерация: без ответа info — оставляем прежнее состояние
+    let moderation = {
+      status: prev?.status ?? null,
+      moderate_status: prev?.moderate_status ?? null,
+      errors: prev?.errors ?? null,
+    };
+    if (infoByOffer.has(offer_id)) {
+      const next = extractModeration(info);
+      // сравниваем, только если прежнее состояние уже было сохранено
+      if (prev && prev.errors != null) {
+        const prevErrors = JSON.parse(prev.errors);
+        const known = new Set(prevErrors.map(errorKey));
+        const newErrors = next.errors.filter((e) => !known.has(errorKey(e)));
+        const statusChanged =
+          (prev.moderate_status ?? null) !== next.moderate_status;
+        if (statusChanged)
+          logChange(
+            offer_id,
+            'moderation',
+            'moderate_status',
+            prev.moderate_status,
+            next.moderate_status,
+          );
+        if (newErrors.length)
+          logChange(
+            offer_id,
+            'moderation',
+            'errors',
+            prevErrors.map((e) => e.code).join(', ') || null,
+            next.errors.map((e) => e.code).join(', '),
+          );
+        const alertStatus =
+          statusChanged &&
+          (next.moderate_status === 'declined' ||
+            (MODERATION_PENDING.includes(next.moderate_status) &&
+              !MODERATION_PENDING.includes(prev.moderate_status)));
+        if (alertStatus || newErrors.length)
+          await notifyAll(
+            moderationMessage(
+              offer_id,
+              info,
+              prev.moderate_status,
+              next,
+              newErrors,
+            ),
+            target,
+            'moderation',
+          );
+      }
+      moderation = { ...next, errors: JSON.stringify(next.errors) };
+    }
 
     if (prev && prev.dim_hash && prev.dim_hash !== newHash) {
       const oldDims = {
@@ -531,41 +3235,383 @@ const processBatch = async (offerIds) => {
         height_mm: prev.height_mm,
         weight_g: prev.weight_g,
       };
-      await notifyAll(dimDiffMessage(offer_id, info, oldDims, dims));
+      const diff = dimChanges(oldDims, dims, toleranceFor(offer_id));
+      const oldLogi = logistics(oldDims);
+      const moved = logisticsChanges(oldLogi, logi);
+      for (const c of [...diff, ...moved])
+        logChange(offer_id, c.kind, c.key, c.from, c.to);
+      // мелкие колебания (например, округление при пересчёте см → мм) только в историю,
+      // но смена класса или ступени объёма важна при любом допуске
+      if (moved.length || diff.some((c) => !c.withinTolerance))
+        await notifyAll(
+          dimDiffMessage(offer_id, info, diff, { from: oldLogi, to: logi }),
+          target,
+          'dims',
+        );
+      else if (diff.length)
+        writeLog({
+          kind: 'scan',
+          event: 'dims_within_tolerance',
+          account,
+          offer_id,
+          fields: diff.map((c) => c.key),
+        });
+    }
+
+    // атрибуты размера: если Ozon не вернул товар — оставляем прежний снимок
+    let attrHash = prev?.attr_hash ?? null;
+    let sizeAttrs = prev?.size_attrs ?? null;
+    if (trackAttrs && attrsByOffer.has(offer_id)) {
+      const picked = pickSizeAttributes(attrs);
+      const newAttrHash = attrFingerprint(picked);
+      const oldPicked = prev?.size_attrs ? JSON.parse(prev.size_attrs) : null;
+      // отпечаток старой формулы или порядок атрибутов мог поменяться
+      // без изменения значений — алерт только при непустой разнице
+      const attrChanges = oldPicked
+        ? diffSizeAttributes(oldPicked, picked)
+        : null;
+      const attrsChanged = oldPicked
+        ? attrChanges.length > 0
+        : prev?.attr_hash != null &&
+          prev.attr_hash !== newAttrHash &&
+          prev.attr_hash !== legacyAttrFingerprint(picked);
+      if (prev?.attr_hash && attrsChanged) {
+        const join = (arr) => arr.join(', ');
+        if (oldPicked) {
+          for (const c of attrChanges) {
+            if (c.kind === 'appeared')
+              logChange(offer_id, 'attrs', c.name, null, join(c.values));
+            else if (c.kind === 'disappeared')
+              logChange(offer_id, 'attrs', c.name, join(c.values), null);
+            else
+              logChange(
+                offer_id,
+                'attrs',
+                c.name,
+                join(c.oldValues),
+                join(c.newValues),
+              );
+          }
+        } else {
+          for (const a of picked)
+            logChange(offer_id, 'attrs', a.name, null, join(a.values));
+        }
+        await notifyAll(
+          attrDiffMessage(offer_id, info, oldPicked, picked),
+          target,
+          'attrs',
+        );
+      }
+      attrHash = newAttrHash;
+      sizeAttrs = JSON.stringify(picked);
     }
 
     upserts.push({
+      account,
       offer_id,
       product_id: info?.id || info?.product_id || 0,
       name: info?.name || '',
-      updated_at: info?.updated_at || info?.updatedAt || '',
+      // атрибуты не получены — прежний updated_at, чтобы инкрементальный скан их дозапросил
+      updated_at:
+        prev && trackAttrs && attrsFailed
+          ? prev.updated_at
+          : infoUpdatedAt(info),
       dim_hash: newHash,
       depth_mm: dims.depth_mm ?? null,
       width_mm: dims.width_mm ?? null,
       height_mm: dims.height_mm ?? null,
       weight_g: dims.weight_g ?? null,
+      ...logi,
+      attr_hash: attrHash,
+      size_attrs: sizeAttrs,
+      brand,
+      archived,
+      ...moderation,
+      last_scan_id: scan.id,
     });
   }
 
-  if (upserts.length) txUpsertMany(upserts);
+  if (upserts.length) txSaveBatch(upserts, changes);
+
+  // 4-5) опционально — цены и остатки; их сбой не отменяет уже сохранённое
+  const optional = [
+    [
+      TRACK_PRICES,
+      'prices',
+      () => processPrices(offerIds, scan, infoByOffer, targets),
+    ],
+    [
+      TRACK_STOCKS,
+      'stocks',
+      () => processStocks(offerIds, scan, infoByOffer, targets),
+    ],
+  ];
+  for (const [enabled, name, run] of optional) {
+    if (!enabled) continue;
+    try {
+      await run();
+    } catch (e) {
+      writeLog({
+        kind: 'scan',
+        event: `${name}_failed`,
+        scan_id: scan.id,
+        offers: offerIds.length,
+        error: e?.message,
+      });
+    }
+  }
+};
+
+// Пропавшие: после успешного скана увеличиваем счётчик тем, кого не вернул Ozon,
+// алерт — ровно на DISAPPEAR_AFTER_SCANS-м пропуске
+// счётчик и запись в историю — вместе, с пометкой скана
+const txMarkMissing = db.transaction((scan, offer_id, disappeared) => {
+  const account = scan.account.name;
+  stmtMarkMissing.run({ account, offer_id, scan_id: scan.id });
+  if (disappeared)
+    stmtInsertChange.run({
+      account,
+      offer_id,
+      scan_id: scan.id,
+      kind: 'lifecycle',
+      field: 'listed',
+      old_value: '1',
+      new_value: '0',
+    });
+});
+
+const markMissing = async (scan) => {
+  const account = scan.account.name;
+  const tracked = TRACK_OFFER_IDS.length ? new Set(TRACK_OFFER_IDS) : null;
+  const unseen = stmtUnseenProducts
+    .all({ account, scan_id: scan.id })
+    .filter((r) => !tracked || tracked.has(r.offer_id));
+  for (const r of unseen) {
+    const missing = r.missing_scans + 1;
+    txMarkMissing(scan, r.offer_id, missing === DISAPPEAR_AFTER_SCANS);
+    if (missing !== DISAPPEAR_AFTER_SCANS) continue;
+    await notifyAll(
+      disappearedMessage(r, missing),
+      { account, offer_id: r.offer_id, brand: r.brand },
+      'disappeared',
+    );
+  }
+};
+
+// атрибуты запрашиваются ради размеров (ATTRIBUTE|BOTH) или подписок на бренды
+const attrsNeeded = () =>
+  SIZE_TRACKING_MODE === 'ATTRIBUTE' ||
+  SIZE_TRACKING_MODE === 'BOTH' ||
+  Boolean(stmtHasBrandSubs.get());
+
+// инкрементально — только при SCAN_MODE=INCREMENTAL, непустой БД и свежей полной
+// сверке; если атрибуты не нужны, пропускать нечего — скан полный
+const scanModeFor = (account, baseline) => {
+  if (SCAN_MODE !== 'INCREMENTAL' || baseline || !attrsNeeded()) return 'full';
+  const lastFull = stmtLastFullScan.get(account.name);
+  return lastFull && lastFull.age_s < FULL_SCAN_INTERVAL_MINUTES * 60
+    ? 'incremental'
+    : 'full';
+};
+
+// незавершённый скан ведёт другой живой процесс (бот или src/cli.js)
+const scanLockAlive = (scan) => {
+  if (!scan?.locked_by || scan.locked_by === SCAN_LOCK_OWNER) return false;
+  if (scan.heartbeat_age_s >= SCAN_LOCK_STALE_MINUTES * 60) return false;
+  // процесс на этом же хосте проверяем напрямую: после падения бота не ждём
+  const sep = scan.locked_by.lastIndexOf(':');
+  if (scan.locked_by.slice(0, sep) !== os.hostname()) return true;
+  try {
+    process.kill(Number(scan.locked_by.slice(sep + 1)), 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
 };
 
-const scanOnce = async () => {
-  writeLog({ kind: 'scan', event: 'start' });
-  const offers = [];
-  for await (const rec of iterOffers()) offers.push(rec);
-  writeLog({ kind: 'scan', event: 'offers_loaded', count: offers.length });
-  if (!offers.length) return;
+// Прерванный скан продолжаем тем же scan_id: товары, сохранённые до сбоя, уже
+// помечены им и не считаются пропавшими. Устаревший — закрываем и начинаем заново.
+// Скан, который ещё ведёт другой процесс, не трогаем: ошибка с busy.
+// immediate — проверка и захват скана атомарны и между процессами.
+const openScan = db.transaction((account) => {
+  const prev = stmtInterruptedScan.get(account.name);
+  if (scanLockAlive(prev))
+    throw Object.assign(
+      new Error(`скан #${prev.id} уже идёт (${prev.locked_by})`),
+      { busy: true },
+    );
+  if (prev && prev.age_s < SCAN_RESUME_MAX_AGE_MINUTES * 60) {
+    stmtScanResume.run({ id: prev.id, owner: SCAN_LOCK_OWNER });
+    return { ...prev, resumed: prev.resumed + 1 };
+  }
+  if (prev) {
+    stmtScanAbandon.run('прерван и не продолжен', prev.id);
+    writeLog({
+      kind: 'scan',
+      event: 'abandoned',
+      account: account.name,
+      scan_id: prev.id,
+    });
+  }
+  const baseline = stmtCountProducts.get(account.name).c === 0;
+  const id = stmtScanStart.run({
+    account: account.name,
+    mode: scanModeFor(account, baseline),
+    baseline: baseline ? 1 : 0,
+    owner: SCAN_LOCK_OWNER,
+  }).lastInsertRowid;
+  return stmtGetScan.get(id);
+}).immediate;
 
-  const offerIds = offers.map((o) => o.offer_id);
-  const batches = chunk(offerIds, 1000);
+// этапы скана: активные, архив, пометка пропавших
+const SCAN_PHASES = ['ALL', 'ARCHIVED', 'MISSING'];
 
-  const limit = pLimit(2);
-  await Promise.all(batches.map((b) => limit(() => processBatch(b))));
+const scanOnce = async (account) => {
+  const started = Date.now();
+  const row = openScan(account);
+  const scan = {
+    id: row.id,
+    account,
+    // baseline запоминается в скане: после рестарта БД уже не пустая
+    baseline: !!row.baseline,
+    incremental: row.mode === 'incremental',
+    callsSaved: row.calls_saved ?? 0,
+    offersSkipped: 0,
+    phase: row.phase,
+    lastId: row.last_id || '',
+    batchesDone: row.batches_done,
+    offersDone: row.offers_done,
+    offersTotal: row.offers_total,
+  };
+  writeLog({
+    kind: 'scan',
+    event: 'start',
+    account: account.name,
+    scan_id: scan.id,
+    mode: row.mode,
+    ...(row.resumed && {
+      resumed: row.resumed,
+      phase: scan.phase,
+      last_id: scan.lastId,
+      offers_done: scan.offersDone,
+    }),
+  });
+  const checkpoint = (phase, lastId) => {
+    scan.phase = phase;
+    scan.lastId = lastId;
+    stmtScanCheckpoint.run({
+      id: scan.id,
+      phase,
+      last_id: lastId,
+      batches_done: scan.batchesDone,
+      offers_done: scan.offersDone,
+      offers_total: scan.offersTotal,
+      calls_saved: scan.callsSaved,
+    });
+  };
+  try {
+    const seen = new Set();
+    const from = SCAN_PHASES.indexOf(scan.phase);
+    // пачка — страница /v3/product/list; до SCAN_BATCH_CONCURRENCY пачек
+    // обрабатываются параллельно, но курсор в БД сдвигается только за
+    // непрерывной цепочкой готовых страниц — после сбоя продолжаем с первой
+    // необработанной (готовые после неё пройдут повторно, без новых алертов)
+    const limit = pLimit(SCAN_BATCH_CONCURRENCY);
+    for (const visibility of SCAN_PHASES.slice(from, 2)) {
+      const inflight = [];
+      // этап продолжается с курсора — его total уже посчитан
+      const phaseResumed = Boolean(scan.lastId);
+      let totalCounted = false;
+      const advance = () => {
+        while (inflight[0]?.done) {
+          const { page, batch } = inflight.shift();
+          scan.batchesDone += 1;
+          scan.offersDone += batch.length;
+          checkpoint(visibility, page.last_id);
+          writeLog({
+            kind: 'scan',
+            event: 'batch_done',
+            account: account.name,
+            scan_id: scan.id,
+            phase: visibility,
+            batches_done: scan.batchesDone,
+            offers_done: scan.offersDone,
+          });
+        }
+      };
+      try {
+        for await (const page of iterOfferPages(
+          account,
+          visibility,
+          scan.lastId,
+        )) {
+          // total — в первой странице этапа; следующая может прийти раньше,
+          // чем checkpoint первой сдвинет scan.lastId
+          if (!phaseResumed && !totalCounted && page.total != null) {
+            totalCounted = true;
+            scan.offersTotal = (scan.offersTotal ?? 0) + page.total;
+          }
+          const batch = page.offers.filter((o) => !seen.has(o.offer_id));
+          for (const o of batch) seen.add(o.offer_id);
+          const entry = { page, batch, done: false };
+          entry.promise = limit(async () => {
+            if (batch.length) await processBatch(batch, scan);
+            entry.done = true;
+            advance();
+          });
+          // ошибку заберёт await ниже; без обработчика она была бы «необработанной»
+          entry.promise.catch(() => {});
+          inflight.push(entry);
+          // список не читаем дальше, чем успеваем обработать
+          while (inflight.length >= SCAN_BATCH_CONCURRENCY)
+            await inflight[0].promise;
+        }
+        await Promise.all(inflight.map((e) => e.promise));
+      } catch (e) {
+        // скан закрываем только после того, как соседние пачки допишут своё
+        await Promise.allSettled(inflight.map((x) => x.promise));
+        throw e;
+      }
+      checkpoint(SCAN_PHASES[SCAN_PHASES.indexOf(visibility) + 1], '');
+    }
+    // пустой ответ скорее сбой API, чем исчезновение всего каталога
+    if (scan.offersDone) await markMissing(scan);
+  } catch (e) {
+    stmtScanFinish.run({
+      id: scan.id,
+      offers: scan.offersDone,
+      error: e?.response?.data?.message || e?.message || String(e),
+      calls_saved: scan.callsSaved,
+    });
+    metrics.scanDuration.observe(
+      { account: account.name, result: 'error' },
+      (Date.now() - started) / 1000,
+    );
+    throw e;
+  }
+  stmtScanFinish.run({
+    id: scan.id,
+    offers: scan.offersDone,
+    error: null,
+    calls_saved: scan.callsSaved,
+  });
+  metrics.ozonCallsSaved.inc({ account: account.name }, scan.callsSaved);
+  metrics.scanDuration.observe(
+    { account: account.name, result: 'ok' },
+    (Date.now() - started) / 1000,
+  );
+  metrics.scanOffers.set({ account: account.name }, scan.offersDone);
+  metrics.offersScanned.inc({ account: account.name }, scan.offersDone);
+  metrics.lastSuccessfulScan.set({ account: account.name }, Date.now() / 1000);
   writeLog({
     kind: 'scan',
     event: 'end',
-    batches: Math.ceil(offers.length / 1000),
+    account: account.name,
+    scan_id: scan.id,
+    batches: scan.batchesDone,
+    mode: row.mode,
+    offers_skipped: scan.offersSkipped,
+    calls_saved: scan.callsSaved,
   });
 };
 
@@ -573,6 +3619,10 @@ const scanOnce = async () => {
 // ===== СКЕДУЛЕР СКАНА =====
 let isScanning = false;
 let scanTimer = null;
+let scanPaused = false;
+let nextScanAt = null;
+let digestTimer = null;
+let outboxTimer = null;
 
 async function tick() {
   if (isScanning) {
@@ -583,27 +3633,167 @@ async function tick() {
   writeLog({ kind: 'scan', event: 'tick_start' });
 
   try {
-    await scanOnce();
-  } catch (e) {
-    const msg = e?.response?.data?.message || e?.message || String(e);
-    writeLog({ kind: 'scan', event: 'error', message: msg });
-    try {
-      await notifyAll(`⚠️ Ошибка мониторинга: <code>${msg}</code>`);
-    } catch {
-      /* глушим, чтобы не уронить планировщик */
+    // настройки из /settings подхватываем между сканами, не посреди
+    applySettings();
+    const accounts = stmtEnabledAccounts.all();
+    if (!accounts.length) writeLog({ kind: 'scan', event: 'no_accounts' });
+    // аккаунты сканируем по очереди; ошибка одного не мешает остальным
+    for (const account of accounts) {
+      try {
+        await scanOnce(account);
+      } catch (e) {
+        const msg = e?.response?.data?.message || e?.message || String(e);
+        // скан аккаунта ведёт другой процесс (src/cli.js) — это не сбой
+        if (e?.busy) {
+          writeLog({
+            kind: 'scan',
+            event: 'busy',
+            account: account.name,
+            message: msg,
+          });
+          continue;
+        }
+        writeLog({
+          kind: 'scan',
+          event: 'error',
+          account: account.name,
+          message: msg,
+        });
+        try {
+          await notifyAll(
+            `🏷 <b>${esc(account.name)}</b>\n⚠️ Ошибка мониторинга: <code>${esc(
+              msg,
+            )}</code>`,
+          );
+        } catch {
+          /* глушим, чтобы не уронить планировщик */
+        }
+      }
     }
   } finally {
+    stmtOutboxPrune.run(Date.now() - OUTBOX_KEEP_SENT_MS);
     isScanning = false;
     writeLog({ kind: 'scan', event: 'tick_end' });
   }
 }
 
+// Периодический тикер с защитой от наложений; /pause и /resume его останавливают
+const startTicker = () => {
+  clearInterval(scanTimer);
+  nextScanAt = Date.now() + POLL_INTERVAL_SECONDS * 1000;
+  scanTimer = setInterval(() => {
+    nextScanAt = Date.now() + POLL_INTERVAL_SECONDS * 1000;
+    // не await — чтобы интервал не блокировался; ошибки ловим внутри tick()
+    tick().catch(() => {});
+  }, POLL_INTERVAL_SECONDS * 1000);
+};
+
+const stopTicker = () => {
+  clearInterval(scanTimer);
+  scanTimer = null;
+  nextScanAt = null;
+};
+
+// ================== HTTP: /healthz, /metrics, вебхук Telegram ==================
+// Маршруты «METHOD /path» → async (req, res); сервер общий для всех HTTP-ручек
+const httpRoutes = new Map();
+let httpServer = null;
+
+// Скан считается зависшим, если успешного не было дольше N интервалов;
+// на паузе (/pause) это ожидаемо и здоровью не вредит
+const healthReport = () => {
+  const maxAgeS = HEALTH_MAX_MISSED_SCANS * POLL_INTERVAL_SECONDS;
+  const accounts = stmtEnabledAccounts.all().map((a) => {
+    const last = stmtLastSuccessScan.get(a.name);
+    return {
+      name: a.name,
+      last_success: last?.finished_at ?? null,
+      age_s: last?.age_s ?? null,
+      // первый скан после старта ещё может идти
+      ok: last ? last.age_s <= maxAgeS : process.uptime() <= maxAgeS,
+    };
+  });
+  const ok = scanPaused || accounts.every((a) => a.ok);
+  return {
+    status: ok ? 'ok' : 'stale',
+    paused: scanPaused,
+    scanning: isScanning,
+    max_age_s: maxAgeS,
+    accounts,
+  };
+};
+
+httpRoutes.set('GET /healthz', async (req, res) => {
+  const report = healthReport();
+  res.writeHead(report.status === 'ok' ? 200 : 503, {
+    'Content-Type': 'application/json; charset=utf-8',
+  });
+  res.end(JSON.stringify(report));
+});
+
+httpRoutes.set('GET /metrics', async (req, res) => {
+  metrics.outboxPending.set(
+    stmtOutboxStats.all().find((r) => r.status === 'pending')?.c ?? 0,
+  );
+  res.writeHead(200, { 'Content-Type': metrics.registry.contentType });
+  res.end(await metrics.registry.metrics());
+});
+
+// секрет и путь проверяет сам Telegraf: чужие запросы получают 403
+if (TELEGRAM_WEBHOOK_URL)
+  httpRoutes.set(
+    `POST ${TELEGRAM_WEBHOOK_PATH}`,
+    bot.webhookCallback(TELEGRAM_WEBHOOK_PATH, {
+      secretToken: TELEGRAM_WEBHOOK_SECRET,
+    }),
+  );
+
+const startHttpServer = () => {
+  if (!HTTP_PORT) return;
+  httpServer = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    const handler = httpRoutes.get(`${req.method} ${path}`);
+    if (!handler) {
+      res.writeHead(404).end('Not found');
+      return;
+    }
+    handler(req, res).catch((e) => {
+      writeLog({ kind: 'http', event: 'error', path, error: e?.message });
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+  httpServer.on('error', (e) => {
+    console.error('HTTP server error:', e);
+    process.exit(1);
+  });
+  // HTTP_PORT=0 — свободный порт, фактический пишется в лог
+  httpServer.listen(Number(HTTP_PORT), HTTP_HOST, () =>
+    writeLog({
+      kind: 'http',
+      event: 'listening',
+      host: HTTP_HOST,
+      port: httpServer.address().port,
+    }),
+  );
+};
+
+// в режиме вебхука Telegraf не запущен — апдейты перестают идти вместе с httpServer
+const stopBot = (reason) => {
+  if (!TELEGRAM_WEBHOOK_URL) bot.stop(reason);
+};
+
 // ================== Start ==================
 const run = async () => {
-  if (!HEADERS['Client-Id'] || !HEADERS['Api-Key']) {
-    throw new Error('OZON_CLIENT_ID и OZON_API_KEY обязательны');
+  if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN is required');
+  // без аккаунтов стартуем, только если их можно добавить через бота
+  if (!stmtEnabledAccounts.all().length && !ADMIN_IDS.size) {
+    throw new Error(
+      'Нужен аккаунт Ozon: OZON_CLIENT_ID и OZON_API_KEY или OZON_ACCOUNTS',
+    );
   }
 
+  applySettings();
   writeLog({
     kind: 'app',
     event: 'startup',
@@ -614,45 +3804,116 @@ const run = async () => {
     LOG_RES_BODY,
     POLL_INTERVAL_SECONDS,
     SIZE_TRACKING_MODE,
+    NOTIFY_ON_NEW_PRODUCT,
+    DISAPPEAR_AFTER_SCANS,
+    SCAN_MODE,
+    FULL_SCAN_INTERVAL_MINUTES,
+    SCAN_RESUME_MAX_AGE_MINUTES,
+    TRACK_PRICES,
+    TRACK_STOCKS,
+    DIGEST_DAILY_HOUR,
+    DIGEST_MAX_MESSAGES,
+    OUTBOX_GLOBAL_PER_SEC,
+    OUTBOX_CHAT_INTERVAL_MS,
+    DIM_TOLERANCE,
+    size_classes: SIZE_CLASSES.map((c) => c.name),
+    VOLUME_TIERS_L,
+    tolerance_rules: TOLERANCE_RULES.map((r) => r.prefix),
     DB_PATH,
+    SCHEMA_VERSION,
+    OZON_MAX_RETRIES,
+    OZON_RL_MIN_REMAINING,
+    telegram_mode: TELEGRAM_WEBHOOK_URL ? 'webhook' : 'polling',
+    webhook_path: TELEGRAM_WEBHOOK_PATH || undefined,
+    HTTP_PORT: HTTP_PORT || null,
+    channels: [...channels.values()].map((c) => `${c.name}:${c.type}`),
+    HEALTH_MAX_MISSED_SCANS,
+    accounts: stmtAllAccounts.all().map((a) => a.name),
+    admin_ids_count: ADMIN_IDS.size,
     track_offer_ids_count: TRACK_OFFER_IDS.length,
   });
 
-  // ✅ 1) Запускаем бота с onLaunch-колбэком (не ждём промис, он может не резолвиться)
-  //    В Telegraf ≥4.16 можно передать колбэк вторым аргументом
-  bot
-    .launch(() => {
-      console.log('🤖 Telegram bot started');
-    })
-    .catch((e) => {
-      console.error('Failed to launch bot:', e);
-      process.exit(1);
-    });
+  // /healthz, /metrics и вебхук доступны с самого старта, ещё до первого скана
+  startHttpServer();
+
+  // ✅ 1) Запускаем бота (не ждём промис, он может не резолвиться)
+  if (TELEGRAM_WEBHOOK_URL) {
+    // апдейты придут на httpServer; пропущенные за время простоя Telegram дошлёт
+    bot.telegram
+      .setWebhook(TELEGRAM_WEBHOOK_URL, {
+        secret_token: TELEGRAM_WEBHOOK_SECRET,
+      })
+      .then(() => console.log('🤖 Telegram bot started (webhook)'))
+      .catch((e) => {
+        console.error('Failed to set webhook:', e);
+        process.exit(1);
+      });
+  } else {
+    // onLaunch-колбэк вторым аргументом — с Telegraf 4.16
+    bot
+      .launch(() => {
+        console.log('🤖 Telegram bot started');
+      })
+      .catch((e) => {
+        console.error('Failed to launch bot:', e);
+        process.exit(1);
+      });
+  }
 
   // 2) Мгновенный первый прогон
   await tick();
 
-  // 3) Периодический тикер с защитой от наложений
-  scanTimer = setInterval(() => {
-    // не await — чтобы интервал не блокировался; ошибки ловим внутри tick()
-    tick().catch(() => {});
-  }, POLL_INTERVAL_SECONDS * 1000);
+  // 3) Периодический тикер (если за время первого скана не поставили на паузу)
+  if (!scanPaused) startTicker();
+
+  // 4) Дайджесты проверяем раз в минуту, независимо от сканов
+  digestTimer = setInterval(() => {
+    flushDigests().catch(() => {});
+  }, 60 * 1000);
 
-  // 4) Корректная остановка
+  // 5) Outbox: досылаем накопленное (в т.ч. до перезапуска) и отложенные повторы
+  kickOutbox();
+  outboxTimer = setInterval(kickOutbox, 1000);
+
+  // 6) Корректная остановка
   process.once('SIGINT', () => {
     clearInterval(scanTimer);
-    bot.stop('SIGINT');
+    clearInterval(digestTimer);
+    clearInterval(outboxTimer);
+    httpServer?.close();
+    stopBot('SIGINT');
   });
   process.once('SIGTERM', () => {
     clearInterval(scanTimer);
-    bot.stop('SIGTERM');
+    clearInterval(digestTimer);
+    clearInterval(outboxTimer);
+    httpServer?.close();
+    stopBot('SIGTERM');
   });
 };
 
-run().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+// бот и цикл сканов — только при запуске `node src/main.js`; src/cli.js
+// импортирует модуль ради БД, скана и сообщений
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  run().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+
+  process.once('SIGINT', () => stopBot('SIGINT'));
+  process.once('SIGTERM', () => stopBot('SIGTERM'));
+}
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+export {
+  DB_PATH,
+  db,
+  applySettings,
+  scanOnce,
+  interceptNotifications,
+  drainOutbox,
+  stripHtml,
+  productCardMessage,
+  stmtEnabledAccounts,
+  stmtFindProducts,
+  txResetBaseline,
+};
@@ -0,0 +1,80 @@
+// Метрики Prometheus для /metrics: сканы, Ozon API, доставка в Telegram
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'ozon_notifier_' });
+
+const metric = (Type, opts) => new Type({ ...opts, registers: [registry] });
+
+export const scanDuration = metric(client.Histogram, {
+  name: 'ozon_notifier_scan_duration_seconds',
+  help: 'Длительность скана аккаунта',
+  labelNames: ['account', 'result'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+});
+export const scanOffers = metric(client.Gauge, {
+  name: 'ozon_notifier_scan_offers',
+  help: 'Товаров в последнем успешном скане',
+  labelNames: ['account'],
+});
+export const offersScanned = metric(client.Counter, {
+  name: 'ozon_notifier_offers_scanned_total',
+  help: 'Товаров обработано сканами',
+  labelNames: ['account'],
+});
+export const lastSuccessfulScan = metric(client.Gauge, {
+  name: 'ozon_notifier_last_successful_scan_timestamp_seconds',
+  help: 'Время окончания последнего успешного скана (unix)',
+  labelNames: ['account'],
+});
+export const changesDetected = metric(client.Counter, {
+  name: 'ozon_notifier_changes_total',
+  help: 'Алертов об изменениях по типам',
+  labelNames: ['account', 'type'],
+});
+
+export const ozonRequests = metric(client.Counter, {
+  name: 'ozon_notifier_ozon_requests_total',
+  help: 'Запросов к Ozon Seller API (status=error — без ответа)',
+  labelNames: ['account', 'path', 'status'],
+});
+export const ozonLatency = metric(client.Histogram, {
+  name: 'ozon_notifier_ozon_request_duration_seconds',
+  help: 'Время ответа Ozon Seller API',
+  labelNames: ['path'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+});
+export const ozonRetries = metric(client.Counter, {
+  name: 'ozon_notifier_ozon_retries_total',
+  help: 'Повторов запросов к Ozon после 429/5xx/сетевых ошибок',
+  labelNames: ['account', 'path'],
+});
+export const ozonCallsSaved = metric(client.Counter, {
+  name: 'ozon_notifier_ozon_calls_saved_total',
+  help: 'Запросов к Ozon, не сделанных благодаря инкрементальным сканам',
+  labelNames: ['account'],
+});
+export const ozonRateLimitRemaining = metric(client.Gauge, {
+  name: 'ozon_notifier_ozon_ratelimit_remaining',
+  help: 'x-ratelimit-remaining из последнего ответа Ozon',
+  labelNames: ['account'],
+});
+
+export const telegramSent = metric(client.Counter, {
+  name: 'ozon_notifier_telegram_sent_total',
+  help: 'Доставлено сообщений и файлов в Telegram',
+});
+export const telegramFailures = metric(client.Counter, {
+  name: 'ozon_notifier_telegram_delivery_failures_total',
+  help: 'Неудачных отправок в Telegram: rate_limited, retry (будет повтор), failed (окончательно)',
+  labelNames: ['reason'],
+});
+export const channelDeliveries = metric(client.Counter, {
+  name: 'ozon_notifier_channel_deliveries_total',
+  help: 'Отправки из outbox по каналам: sent, rate_limited, retry, failed',
+  labelNames: ['channel', 'result'],
+});
+export const outboxPending = metric(client.Gauge, {
+  name: 'ozon_notifier_outbox_pending',
+  help: 'Сообщений в outbox, ожидающих доставки',
+});
@@ -0,0 +1,371 @@
+// Схема БД: упорядоченные шаги миграций и таблица schema_version.
+// Каждый шаг идемпотентен (IF NOT EXISTS, проверка колонок), поэтому БД без
+// schema_version — от src/index.js, src/index2.js или main.js до миграций —
+// прогоняется с первого шага и догоняется до текущей схемы.
+
+const columnsOf = (db, table) =>
+  db.prepare(`PRAGMA table_info(${table})`).all();
+
+// true — колонку только что добавили
+const ensureColumn = (db, table, column, type) => {
+  if (columnsOf(db, table).some((c) => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return true;
+};
+
+// до мультиаккаунта ключом был offer_id: пересобираем таблицу с ключом
+// (account, ...key), старые строки относим к аккаунту по умолчанию
+const rekeyByAccount = (db, table, key, account) => {
+  const cols = columnsOf(db, table);
+  if (cols.some((c) => c.name === 'account')) return false;
+  const defs = cols.map(
+    (c) =>
+      `${c.name} ${c.type}${c.notnull || key.includes(c.name) ? ' NOT NULL' : ''}${
+        c.dflt_value != null ? ` DEFAULT ${c.dflt_value}` : ''
+      }`,
+  );
+  const names = cols.map((c) => c.name).join(', ');
+  db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  db.exec(
+    `CREATE TABLE ${table} (account TEXT NOT NULL, ${defs.join(', ')}, PRIMARY KEY (account, ${key.join(', ')}))`,
+  );
+  db.prepare(
+    `INSERT INTO ${table}(account, ${names}) SELECT ?, ${names} FROM ${table}_old`,
+  ).run(account);
+  db.exec(`DROP TABLE ${table}_old`);
+  return true;
+};
+
+// Новые изменения схемы — только новым шагом в конце списка; старые не правим
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial',
+    // схема src/index.js и src/index2.js
+    up: (db) =>
+      db.exec(`
+CREATE TABLE IF NOT EXISTS chats (
+  chat_id INTEGER PRIMARY KEY
+);
+CREATE TABLE IF NOT EXISTS products (
+  offer_id TEXT PRIMARY KEY,
+  product_id INTEGER,
+  name TEXT,
+  updated_at TEXT,
+  dim_hash TEXT,
+  depth_mm REAL,
+  width_mm REAL,
+  height_mm REAL,
+  weight_g REAL,
+  attr_hash TEXT,
+  last_seen_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_products_updated_at ON products(updated_at);
+`),
+  },
+  {
+    version: 2,
+    name: 'tracking',
+    // атрибуты размера, история, подписки, цены, остатки, жизненный цикл, модерация
+    up: (db) => {
+      ensureColumn(db, 'products', 'attr_hash', 'TEXT');
+      ensureColumn(db, 'products', 'size_attrs', 'TEXT'); // JSON выбранных атрибутов размера
+      ensureColumn(db, 'products', 'brand', 'TEXT');
+      ensureColumn(db, 'products', 'archived', 'INTEGER');
+      ensureColumn(db, 'products', 'status', 'TEXT');
+      ensureColumn(db, 'products', 'moderate_status', 'TEXT');
+      ensureColumn(db, 'products', 'errors', 'TEXT'); // JSON ошибок товара из info/list
+      ensureColumn(db, 'products', 'first_seen_at', 'TEXT');
+      ensureColumn(db, 'products', 'last_scan_id', 'INTEGER');
+      ensureColumn(
+        db,
+        'products',
+        'missing_scans',
+        'INTEGER NOT NULL DEFAULT 0',
+      );
+      db.exec(`
+CREATE TABLE IF NOT EXISTS scans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  offers INTEGER,
+  error TEXT
+);
+CREATE TABLE IF NOT EXISTS product_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  offer_id TEXT NOT NULL,
+  scan_id INTEGER,
+  kind TEXT NOT NULL,  -- dims|weight|attrs|price|lifecycle|moderation|logistics
+  field TEXT NOT NULL, -- depth_mm|width_mm|height_mm|weight_g|имя атрибута
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_product_changes_offer ON product_changes(offer_id, id);
+CREATE TABLE IF NOT EXISTS chat_subscriptions (
+  chat_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,  -- offer|prefix|brand
+  value TEXT NOT NULL,
+  PRIMARY KEY (chat_id, kind, value)
+);
+CREATE TABLE IF NOT EXISTS product_prices (
+  offer_id TEXT PRIMARY KEY,
+  price REAL,
+  old_price REAL,
+  min_price REAL,
+  marketing_price REAL,
+  currency TEXT,
+  updated_at TEXT
+);
+CREATE TABLE IF NOT EXISTS product_stocks (
+  offer_id TEXT NOT NULL,
+  type TEXT NOT NULL, -- fbo|fbs|...
+  present INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT,
+  PRIMARY KEY (offer_id, type)
+);
+`);
+      // порог ценовых алертов чата: абсолютный (в валюте) или в процентах
+      ensureColumn(db, 'chats', 'price_threshold_abs', 'REAL');
+      ensureColumn(db, 'chats', 'price_threshold_pct', 'REAL');
+      ensureColumn(db, 'chats', 'low_stock_threshold', 'INTEGER');
+    },
+  },
+  {
+    version: 3,
+    name: 'accounts',
+    up: (db, { defaultAccount, log }) => {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS accounts (
+  name TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  api_key TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  source TEXT NOT NULL DEFAULT 'bot', -- config|bot
+  created_at TEXT
+);
+`);
+      for (const [table, key] of [
+        ['products', ['offer_id']],
+        ['product_prices', ['offer_id']],
+        ['product_stocks', ['offer_id', 'type']],
+      ])
+        if (rekeyByAccount(db, table, key, defaultAccount))
+          log({ event: 'rekey_by_account', table, defaultAccount });
+      db.exec(
+        'CREATE INDEX IF NOT EXISTS idx_products_updated_at ON products(updated_at)',
+      );
+      for (const table of ['scans', 'product_changes']) {
+        ensureColumn(db, table, 'account', 'TEXT');
+        db.prepare(`UPDATE ${table} SET account = ? WHERE account IS NULL`).run(
+          defaultAccount,
+        );
+      }
+    },
+  },
+  {
+    version: 4,
+    name: 'logistics',
+    up: (db) => {
+      ensureColumn(db, 'products', 'volume_l', 'REAL');
+      ensureColumn(db, 'products', 'volumetric_weight_kg', 'REAL');
+      ensureColumn(db, 'products', 'size_class', 'TEXT');
+      ensureColumn(db, 'products', 'volume_tier', 'TEXT');
+    },
+  },
+  {
+    version: 5,
+    name: 'delivery',
+    // дайджесты и outbox
+    up: (db) => {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS digest_queue (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chat_id INTEGER NOT NULL,
+  type TEXT NOT NULL,  -- dims|attrs|price|stock|new|archive|disappeared|moderation
+  body TEXT NOT NULL,  -- готовый HTML алерта
+  created_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chat_id INTEGER NOT NULL,
+  method TEXT NOT NULL,  -- sendMessage|sendDocument
+  body TEXT NOT NULL,    -- HTML сообщения или содержимое файла
+  extra TEXT,            -- JSON: filename, caption
+  status TEXT NOT NULL DEFAULT 'pending', -- pending|sent|failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL DEFAULT 0, -- unix ms
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  sent_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, chat_id, id);
+`);
+      // instant|hourly|daily; digest_sent_at — unix ms последнего дайджеста
+      ensureColumn(
+        db,
+        'chats',
+        'delivery_mode',
+        "TEXT NOT NULL DEFAULT 'instant'",
+      );
+      ensureColumn(db, 'chats', 'digest_sent_at', 'INTEGER');
+    },
+  },
+  {
+    version: 6,
+    name: 'access',
+    up: (db, { adminIds = [], log }) => {
+      // pending|approved|blocked; новый чат ждёт одобрения
+      const added = ensureColumn(
+        db,
+        'chats',
+        'status',
+        "TEXT NOT NULL DEFAULT 'pending'",
+      );
+      ensureColumn(db, 'chats', 'role', "TEXT NOT NULL DEFAULT 'viewer'"); // admin|viewer
+      ensureColumn(db, 'chats', 'title', 'TEXT');
+      ensureColumn(db, 'chats', 'requested_at', 'TEXT');
+      db.exec(`
+CREATE TABLE IF NOT EXISTS invites (
+  code TEXT PRIMARY KEY,
+  role TEXT NOT NULL DEFAULT 'viewer', -- admin|viewer
+  created_by INTEGER,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_by INTEGER,
+  used_at TEXT
+);
+`);
+      if (!added) return;
+      // до контроля доступа /start подключал кого угодно: одобряем только
+      // админов из ADMIN_IDS, остальные чаты ждут /approve
+      const approve = db.prepare(
+        "UPDATE chats SET status = 'approved', role = 'admin' WHERE chat_id = ?",
+      );
+      for (const id of adminIds) approve.run(Number(id));
+      const pending = db
+        .prepare("SELECT chat_id FROM chats WHERE status = 'pending'")
+        .all()
+        .map((r) => r.chat_id);
+      if (pending.length) log({ event: 'chats_pending', chat_ids: pending });
+    },
+  },
+  {
+    version: 7,
+    name: 'settings',
+    up: (db) =>
+      db.exec(`
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,  -- см. RUNTIME_SETTINGS
+  value TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  updated_by INTEGER
+);
+`),
+  },
+  {
+    version: 8,
+    name: 'outbox_channels',
+    // telegram — chat_id чата; для вебхука/email chat_id = 0, body — JSON сообщения
+    up: (db) =>
+      ensureColumn(db, 'outbox', 'channel', "TEXT NOT NULL DEFAULT 'telegram'"),
+  },
+  {
+    version: 9,
+    name: 'incremental_scans',
+    // прежние сканы все были полными
+    up: (db) => {
+      ensureColumn(db, 'scans', 'mode', "TEXT NOT NULL DEFAULT 'full'"); // full|incremental
+      ensureColumn(db, 'scans', 'calls_saved', 'INTEGER');
+    },
+  },
+  {
+    version: 10,
+    name: 'scan_checkpoints',
+    // прогресс скана: этап (ALL|ARCHIVED|MISSING), курсор /v3/product/list и
+    // сохранённые пачки; phase IS NULL — продолжать нечего
+    up: (db) => {
+      ensureColumn(db, 'scans', 'phase', 'TEXT');
+      ensureColumn(db, 'scans', 'last_id', 'TEXT');
+      ensureColumn(db, 'scans', 'batches_done', 'INTEGER NOT NULL DEFAULT 0');
+      ensureColumn(db, 'scans', 'offers_done', 'INTEGER NOT NULL DEFAULT 0');
+      ensureColumn(db, 'scans', 'offers_total', 'INTEGER');
+      ensureColumn(db, 'scans', 'baseline', 'INTEGER NOT NULL DEFAULT 0');
+      ensureColumn(db, 'scans', 'resumed', 'INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+  {
+    version: 11,
+    name: 'scan_lock',
+    // кто ведёт незавершённый скан (хост:pid) и когда отметился; бот и
+    // src/cli.js на одной БД не продолжают чужой живой скан
+    up: (db) => {
+      ensureColumn(db, 'scans', 'locked_by', 'TEXT');
+      ensureColumn(db, 'scans', 'heartbeat_at', 'TEXT');
+    },
+  },
+  {
+    version: 12,
+    name: 'missing_scan_id',
+    // скан, который уже посчитал товар пропавшим: продолженный после сбоя
+    // этап MISSING не увеличивает missing_scans второй раз
+    up: (db) => {
+      ensureColumn(db, 'products', 'missing_scan_id', 'INTEGER');
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+export const schemaVersion = (db) => {
+  const table = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'",
+    )
+    .get();
+  return table
+    ? (db.prepare('SELECT MAX(version) AS v FROM schema_version').get().v ?? 0)
+    : 0;
+};
+
+// Для старых точек входа (src/index.js, src/index2.js, ozon_→_telegram_node.js):
+// они пишут в исходную схему и в БД, которую уже ведут миграции, писать не должны
+export const assertLegacySchema = (db, dbPath) => {
+  if (schemaVersion(db) > 0)
+    throw new Error(
+      `${dbPath}: схема БД обновлена src/main.js (schema_version) — запускайте npm run dev`,
+    );
+};
+
+// Доводит БД до SCHEMA_VERSION; каждый шаг — в своей транзакции вместе с
+// записью в schema_version. БД новее программы не трогаем — отказ стартовать.
+export const migrate = (
+  db,
+  { defaultAccount, adminIds = [], log = () => {} },
+) => {
+  const current = schemaVersion(db);
+  if (current > SCHEMA_VERSION)
+    throw new Error(
+      `Схема БД версии ${current} новее, чем знает эта версия программы (${SCHEMA_VERSION}) — обновите программу или укажите другой DB_PATH`,
+    );
+  db.exec(`
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+);
+`);
+  const record = db.prepare(
+    "INSERT INTO schema_version(version, name, applied_at) VALUES (?, ?, datetime('now'))",
+  );
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      m.up(db, { defaultAccount, adminIds, log });
+      record.run(m.version, m.name);
+    })();
+    log({ event: 'migrated', version: m.version, name: m.name });
+  }
+  return { from: current, to: SCHEMA_VERSION };
+};
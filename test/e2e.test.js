@@ -0,0 +1,1398 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import ExcelJS from 'exceljs';
+import Database from 'better-sqlite3';
+
+import { createMockOzon } from './support/mock-ozon.js';
+import { createFakeTelegram } from './support/fake-telegram.js';
+import { createFakeSmtp } from './support/fake-smtp.js';
+import { createFakeWebhook } from './support/fake-webhook.js';
+import { startApp, waitUntil } from './support/app.js';
+import { migrate } from '../src/migrations.js';
+
+const CHAT = 1001;
+const EXPORT_CLI = fileURLToPath(
+  new URL('../src/export-cli.js', import.meta.url),
+);
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const LEGACY_ENTRYPOINTS = [
+  '../src/index.js',
+  '../src/index2.js',
+  '../ozon_→_telegram_node.js',
+].map((p) => fileURLToPath(new URL(p, import.meta.url)));
+
+// порт нужно знать до старта: он входит в URL вебхука
+const freePort = () =>
+  new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+
+const product = (n, dims = {}) => ({
+  id: 100 + n,
+  offer_id: `SKU-${n}`,
+  name: `Товар ${n}`,
+  dims: {
+    depth: 100,
+    width: 200,
+    height: 300,
+    dimension_unit: 'mm',
+    weight: 500,
+    weight_unit: 'g',
+    ...dims,
+  },
+  attributes: [
+    { attribute_id: 4295, name: 'Размер', values: [{ value: 'M' }] },
+  ],
+});
+
+describe('e2e: скан против локального Ozon', () => {
+  let ozon;
+  let telegram;
+  let app;
+
+  beforeEach(async () => {
+    telegram = await createFakeTelegram().start();
+  });
+
+  afterEach(async () => {
+    await app?.stop();
+    await ozon?.stop();
+    await telegram?.stop();
+    app = null;
+  });
+
+  // первый скан — baseline; CHAT — админ из конфига, подписан через /start
+  const boot = async (products, { env, pageSize } = {}) => {
+    ozon = await createMockOzon({ products, pageSize }).start();
+    telegram.sendCommand(CHAT, '/start');
+    app = startApp({
+      ozon,
+      telegram,
+      env: { ADMIN_IDS: String(CHAT), ...env },
+    });
+    await app.waitForLog((l) => l.kind === 'scan' && l.event === 'end');
+    await waitUntil(() => telegram.messages(CHAT).length);
+    return telegram.messages(CHAT).length;
+  };
+
+  it('шлёт ровно одно уведомление об изменении габаритов', async () => {
+    const before = await boot([product(1), product(2)]);
+
+    ozon.updateProduct('SKU-1', {
+      dims: { ...product(1).dims, width: 250, weight: 550 },
+    });
+    await app.waitForScans(2);
+
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1, alerts.join('\n---\n'));
+    assert.match(alerts[0], /SKU-1/);
+    assert.match(
+      alerts[0],
+      /Ширина: <code>200 мм<\/code> → <code>250 мм<\/code>/,
+    );
+    assert.match(alerts[0], /Вес: <code>500 г<\/code> → <code>550 г<\/code>/);
+    assert.doesNotMatch(alerts[0], /SKU-2/);
+  });
+
+  it('при DIMENSIONS инкрементальный режим ничего не пропускает', async () => {
+    await boot([product(1), product(2)], {
+      env: { SCAN_MODE: 'INCREMENTAL', SIZE_TRACKING_MODE: 'DIMENSIONS' },
+    });
+    await app.waitForScans(1);
+    const ends = app.logs.filter((l) => l.kind === 'scan' && l.event === 'end');
+    assert.ok(ends.length >= 2);
+    for (const end of ends) {
+      assert.equal(end.mode, 'full');
+      assert.equal(end.offers_skipped, 0);
+      assert.equal(end.calls_saved, 0);
+    }
+  });
+
+  it('инкрементальный скан перезапрашивает атрибуты только изменённых товаров', async () => {
+    const before = await boot([product(1), product(2)], {
+      env: { SCAN_MODE: 'INCREMENTAL', SIZE_TRACKING_MODE: 'BOTH' },
+    });
+    assert.equal(
+      app.logs.find((l) => l.kind === 'scan' && l.event === 'end').mode,
+      'full',
+    );
+
+    await app.waitForScans(1);
+    const quiet = app.logs.findLast(
+      (l) => l.kind === 'scan' && l.event === 'end',
+    );
+    assert.equal(quiet.mode, 'incremental');
+    assert.equal(quiet.offers_skipped, 2);
+    assert.equal(quiet.calls_saved, 1);
+    const attrCalls = ozon.callsTo('/v4/product/info/attributes');
+
+    // правка карточки двигает updated_at — атрибуты SKU-1 запрашиваются снова
+    ozon.updateProduct('SKU-1', {
+      dims: { ...product(1).dims, width: 250 },
+    });
+    await app.waitForScans(2);
+    const fetched = ozon.requests
+      .filter((r) => r.path === '/v4/product/info/attributes')
+      .slice(attrCalls)
+      .flatMap((r) => r.body.filter.offer_id);
+    assert.deepEqual(fetched, ['SKU-1']);
+
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1, alerts.join('\n---\n'));
+    assert.match(
+      alerts[0],
+      /Ширина: <code>200 мм<\/code> → <code>250 мм<\/code>/,
+    );
+  });
+
+  it('изменения в пределах допуска пишет в историю без уведомления', async () => {
+    const before = await boot([product(1), product(2)], {
+      env: {
+        DIM_TOLERANCE_MM: '0.5',
+        WEIGHT_TOLERANCE_PCT: '1',
+        TOLERANCE_RULES: JSON.stringify({ 'SKU-2': { dim_mm: 20 } }),
+      },
+    });
+
+    // см → мм с погрешностью и +0.6% веса — шум; у SKU-2 допуск группы 20 мм
+    ozon.updateProduct('SKU-1', {
+      dims: {
+        depth: 10.003,
+        width: 20,
+        height: 30,
+        dimension_unit: 'cm',
+        weight: 503,
+        weight_unit: 'g',
+      },
+    });
+    ozon.updateProduct('SKU-2', { dims: { ...product(2).dims, height: 315 } });
+    await app.waitForScans(2);
+    assert.deepEqual(telegram.messages(CHAT).slice(before), []);
+    const quiet = app.logs.filter((l) => l.event === 'dims_within_tolerance');
+    assert.deepEqual(quiet.map((l) => l.offer_id).sort(), ['SKU-1', 'SKU-2']);
+
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 210 } });
+    await app.waitForScans(2);
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1, alerts.join('\n---\n'));
+    assert.match(
+      alerts[0],
+      /Ширина: <code>200 мм<\/code> → <code>210 мм<\/code> \(\+10, \+5%\)/,
+    );
+    // вес вернулся к 500 г: −0.6% в пределах допуска, но показываем в общем алерте
+    assert.match(alerts[0], /Вес: .* · в пределах допуска/);
+  });
+
+  it('выделяет смену габаритного класса и ступени объёма', async () => {
+    const before = await boot([product(1), product(2)]);
+
+    // 100×200×300 мм = 6 л, МГТ
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, height: 1300 } });
+    ozon.updateProduct('SKU-2', { dims: { ...product(2).dims, width: 400 } });
+    await app.waitForScans(2);
+
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 2, alerts.join('\n---\n'));
+    const kgt = alerts.find((t) => t.includes('SKU-1'));
+    assert.match(kgt, /<b>📦 Смена габаритного класса: МГТ → КГТ<\/b>/);
+    assert.match(kgt, /Объём: <code>6 л<\/code> → <code>26 л<\/code>/);
+    assert.match(
+      kgt,
+      /Ступень объёма: <code>5–10 л<\/code> → <code>25–50 л<\/code>/,
+    );
+    const tier = alerts.find((t) => t.includes('SKU-2'));
+    assert.match(tier, /<b>📦 Новая ступень объёма: 5–10 л → 10–25 л<\/b>/);
+    assert.match(
+      tier,
+      /Объёмный вес: <code>1.2 кг<\/code> → <code>2.4 кг<\/code>/,
+    );
+  });
+
+  it('в режиме дайджеста копит алерты и шлёт одну сводку', async () => {
+    const products = Array.from({ length: 30 }, (_, i) => product(i + 1));
+    const before = await boot(products, { env: { DIGEST_MAX_MESSAGES: '1' } });
+    telegram.sendCommand(CHAT, '/digest hourly');
+    await waitUntil(() => telegram.messages(CHAT).length > before);
+    const mark = telegram.messages(CHAT).length;
+
+    for (const p of products)
+      ozon.updateProduct(p.offer_id, { dims: { ...p.dims, width: 210 } });
+    await app.waitForScans(2);
+    assert.equal(telegram.messages(CHAT).length, mark);
+
+    // при возврате в instant накопленное уходит сразу
+    telegram.sendCommand(CHAT, '/digest instant');
+    await waitUntil(() =>
+      telegram.sent.some((m) => m.method === 'sendDocument'),
+    );
+    const [digest] = telegram.messages(CHAT).slice(mark);
+    assert.match(digest, /Дайджест за час<\/b> — изменений: 30/);
+    assert.match(digest, /Размеры: 30/);
+    assert.match(digest, /Продолжение — во вложении/);
+    const doc = telegram.sent.find((m) => m.method === 'sendDocument');
+    assert.equal(doc.chat_id, CHAT);
+    assert.match(doc.payload.document.content, /SKU-30/);
+    assert.doesNotMatch(doc.payload.document.content, /<code>/);
+  });
+
+  it('экранирует название и offer_id в алертах и дайджесте', async () => {
+    const odd = { ...product(1), offer_id: 'A&B<1>', name: 'Кружка <XL> & Co' };
+    const before = await boot([odd]);
+
+    ozon.updateProduct(odd.offer_id, { dims: { ...odd.dims, width: 210 } });
+    const alert = await waitUntil(() =>
+      telegram
+        .messages(CHAT)
+        .slice(before)
+        .find((t) => /Ширина/.test(t)),
+    );
+    assert.match(
+      alert,
+      /<code>A&amp;B&lt;1&gt;<\/code>\nКружка &lt;XL&gt; &amp; Co/,
+    );
+
+    telegram.sendCommand(CHAT, '/digest hourly');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('✅ Доставка')),
+    );
+    const mark = telegram.messages(CHAT).length;
+    ozon.updateProduct(odd.offer_id, { dims: { ...odd.dims, width: 220 } });
+    await app.waitForScans(2);
+    telegram.sendCommand(CHAT, '/digest instant');
+    const digest = await waitUntil(() =>
+      telegram
+        .messages(CHAT)
+        .slice(mark)
+        .find((t) => t.includes('Дайджест')),
+    );
+    // один кривой товар не должен ронять всю часть дайджеста
+    assert.match(digest, /Кружка &lt;XL&gt; &amp; Co/);
+    assert.ok(
+      !app.logs.some((l) => l.kind === 'outbox' && l.event === 'failed'),
+    );
+  });
+
+  it('доставляет через outbox: ждёт retry_after, ошибки видны в /outbox', async () => {
+    const OTHER = 2002;
+    telegram.sendCommand(OTHER, '/start');
+    await boot([product(1)]);
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Запрос доступа')),
+    );
+
+    // уведомление об одобрении не доходит: бот заблокирован
+    telegram.fail('sendMessage', {
+      chatId: OTHER,
+      error_code: 403,
+      description: 'Forbidden: bot was blocked by the user',
+    });
+    telegram.sendCommand(CHAT, '/approve 2002');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('одобрен')),
+    );
+
+    telegram.fail('sendMessage', {
+      chatId: CHAT,
+      error_code: 429,
+      description: 'Too Many Requests: retry after 1',
+      retry_after: 1,
+    });
+    const before = telegram.messages(CHAT).length;
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+
+    await waitUntil(() => telegram.messages(CHAT).length > before);
+    assert.match(telegram.messages(CHAT).at(-1), /SKU-1/);
+    const limited = app.logs.find((l) => l.event === 'rate_limited');
+    assert.equal(limited.retry_after, 1);
+    await waitUntil(() =>
+      telegram.messages(OTHER).some((t) => /SKU-1/.test(t)),
+    );
+
+    telegram.sendCommand(CHAT, '/outbox');
+    const report = await waitUntil(() =>
+      telegram.messages(CHAT).find((t) => t.includes('Очередь отправки')),
+    );
+    assert.match(report, /не доставлено: 1/);
+    assert.match(report, /bot was blocked by the user/);
+  });
+
+  it('пускает новые чаты только по приглашению, viewer не меняет настройки', async () => {
+    const STRANGER = 3003;
+    await boot([product(1)]);
+
+    telegram.sendCommand(STRANGER, '/status');
+    await waitUntil(() => telegram.messages(STRANGER).length);
+    assert.match(telegram.messages(STRANGER)[0], /нет доступа/);
+    const denied = await app.waitForLog(
+      (l) => l.kind === 'access' && l.event === 'denied',
+    );
+    assert.equal(denied.chat_id, STRANGER);
+    assert.equal(denied.text, '/status');
+
+    // повторные /start не рассылают заявку админам заново
+    for (let i = 0; i < 3; i++) telegram.sendCommand(STRANGER, '/start');
+    await waitUntil(
+      () =>
+        telegram.messages(STRANGER).filter((t) => /Заявка на доступ/.test(t))
+          .length === 3,
+    );
+    await waitUntil(
+      () => app.logs.filter((l) => l.event === 'request_repeated').length === 2,
+    );
+    assert.equal(app.logs.filter((l) => l.event === 'requested').length, 1);
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Запрос доступа')),
+    );
+    assert.equal(
+      telegram.messages(CHAT).filter((t) => t.includes('Запрос доступа'))
+        .length,
+      1,
+    );
+
+    telegram.sendCommand(CHAT, '/invite');
+    const invite = await waitUntil(() =>
+      telegram.messages(CHAT).find((t) => t.includes('Код приглашения')),
+    );
+    const code = invite.match(/\/start (\S+)<\/code>/)[1];
+    telegram.sendCommand(STRANGER, `/start ${code}`);
+    await waitUntil(() =>
+      telegram
+        .messages(STRANGER)
+        .some((t) => t.includes('Приглашение принято')),
+    );
+
+    // свои настройки чата viewer меняет, глобальные — нет
+    telegram.sendCommand(STRANGER, '/lowstock 5');
+    await waitUntil(() =>
+      telegram.messages(STRANGER).some((t) => t.includes('ниже 5 шт')),
+    );
+    telegram.sendCommand(STRANGER, '/pause');
+    await waitUntil(() =>
+      telegram
+        .messages(STRANGER)
+        .some((t) => t.includes('только администраторам')),
+    );
+
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+    await waitUntil(() =>
+      telegram.messages(STRANGER).some((t) => /SKU-1/.test(t)),
+    );
+    assert.ok(app.logs.some((l) => l.event === 'admin_only'));
+  });
+
+  it('группа, открытая админом, получает роль viewer', async () => {
+    const GROUP = -4004;
+    const MEMBER = 4005;
+    await boot([product(1)]);
+
+    telegram.sendCommand(GROUP, '/start', CHAT);
+    await waitUntil(() =>
+      telegram.messages(GROUP).some((t) => t.includes('Готово')),
+    );
+    // админ из конфига в группе остаётся админом, остальные участники — нет
+    telegram.sendCommand(GROUP, '/addaccount shop2 cid key', MEMBER);
+    await waitUntil(() =>
+      telegram
+        .messages(GROUP)
+        .some((t) => t.includes('только администраторам')),
+    );
+    const denied = await app.waitForLog((l) => l.event === 'admin_only');
+    assert.equal(denied.user_id, MEMBER);
+    assert.ok(
+      !app.logs.some((l) => l.kind === 'account' && l.event === 'added'),
+    );
+
+    // подписки — настройка самого чата, участнику группы доступны
+    telegram.sendCommand(GROUP, '/watch SKU-3', MEMBER);
+    await waitUntil(() =>
+      telegram
+        .messages(GROUP)
+        .some((t) => t.includes('Подписка добавлена: offer:SKU-3')),
+    );
+  });
+
+  it('ошибка в обработчике кнопки не роняет бота', async () => {
+    await boot([product(1)]);
+
+    // повторное нажатие той же страницы истории — «message is not modified»
+    telegram.fail('editMessageText', {
+      error_code: 400,
+      description: 'Bad Request: message is not modified',
+    });
+    telegram.pressButton(CHAT, 'hist:1:SKU-1');
+    await waitUntil(() =>
+      telegram.sent.some((m) => m.method === 'answerCallbackQuery'),
+    );
+    // прочие ошибки обработчиков ловит bot.catch
+    telegram.fail('answerCallbackQuery');
+    telegram.pressButton(CHAT, 'hist:1:SKU-1');
+    const error = await app.waitForLog((l) => l.event === 'handler_error');
+    assert.equal(error.update_type, 'callback_query');
+    assert.equal(error.chat_id, CHAT);
+    assert.equal(app.logs.filter((l) => l.event === 'handler_error').length, 1);
+
+    telegram.sendCommand(CHAT, '/next');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Следующий скан')),
+    );
+  });
+
+  it('/scan запускает скан сразу, /pause и /next показывают расписание', async () => {
+    await boot([product(1)], { env: { POLL_INTERVAL_SECONDS: '3600' } });
+    const reply = async (text, match) => {
+      telegram.sendCommand(CHAT, text);
+      return waitUntil(() =>
+        telegram.messages(CHAT).find((t) => match.test(t)),
+      );
+    };
+
+    assert.match(await reply('/next', /Следующий скан/), /через (59|60) мин/);
+    await reply('/pause', /Плановые сканы остановлены/);
+    assert.match(await reply('/next', /на паузе/), /товаров 1/);
+
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+    const scans = app.scanEnds();
+    const done = await reply('/scan', /Скан завершён/);
+    assert.match(done, /🏷 default: .*товаров 1/);
+    assert.equal(app.scanEnds(), scans + 1);
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => /Изменение размеров.*SKU-1/.test(t)),
+    );
+    assert.ok(app.logs.some((l) => l.event === 'manual'));
+
+    await reply('/resume', /возобновлены/);
+  });
+
+  it('/healthz и /metrics отражают сканы, вызовы Ozon и изменения', async () => {
+    await boot([product(1)], {
+      env: {
+        HTTP_PORT: '0',
+        HTTP_HOST: '127.0.0.1',
+        HEALTH_MAX_MISSED_SCANS: '1',
+      },
+    });
+    const { port } = await app.waitForLog(
+      (l) => l.kind === 'http' && l.event === 'listening',
+    );
+    const get = (p) => fetch(`http://127.0.0.1:${port}${p}`);
+
+    const healthy = await get('/healthz');
+    assert.equal(healthy.status, 200);
+    const report = await healthy.json();
+    assert.equal(report.status, 'ok');
+    assert.equal(report.accounts[0].name, 'default');
+
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => /Изменение размеров/.test(t)),
+    );
+    const text = await (await get('/metrics')).text();
+    assert.match(
+      text,
+      /ozon_notifier_changes_total\{account="default",type="dims"\} 1/,
+    );
+    assert.match(
+      text,
+      /ozon_notifier_ozon_requests_total\{account="default",path="\/v3\/product\/list",status="200"\} [1-9]/,
+    );
+    assert.match(
+      text,
+      /ozon_notifier_scan_duration_seconds_count\{account="default",result="ok"\} [1-9]/,
+    );
+    assert.match(text, /ozon_notifier_scan_offers\{account="default"\} 1/);
+    assert.match(text, /ozon_notifier_telegram_sent_total [1-9]/);
+
+    // сканы падают — через интервал /healthz отвечает 503
+    ozon.fail('/v3/product/list', { status: 500, times: 1000 });
+    const stale = await waitUntil(async () => {
+      const res = await get('/healthz');
+      return res.status === 503 && res.json();
+    });
+    assert.equal(stale.status, 'stale');
+    assert.ok(stale.accounts[0].age_s > stale.max_age_s);
+    assert.equal((await get('/nope')).status, 404);
+  });
+
+  it('в режиме вебхука получает апдейты через общий HTTP-сервер', async () => {
+    const port = await freePort();
+    telegram.routeWebhook(`http://127.0.0.1:${port}/hook`);
+    await boot([product(1)], {
+      env: {
+        TELEGRAM_WEBHOOK_URL: 'https://bot.example.com/tg/hook',
+        TELEGRAM_WEBHOOK_PATH: '/hook',
+        TELEGRAM_WEBHOOK_SECRET: 's3cret',
+        HTTP_PORT: String(port),
+        HTTP_HOST: '127.0.0.1',
+      },
+    });
+    const startup = app.logs.find((l) => l.event === 'startup');
+    assert.equal(startup.telegram_mode, 'webhook');
+    const hook = telegram.sent.find((m) => m.method === 'setWebhook');
+    assert.equal(hook.payload.url, 'https://bot.example.com/tg/hook');
+    assert.equal(hook.payload.secret_token, 's3cret');
+    assert.ok(!telegram.sent.some((m) => m.method === 'deleteWebhook'));
+
+    telegram.sendCommand(CHAT, '/next');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => /Следующий скан/.test(t)),
+    );
+    assert.ok(telegram.webhookResponses.every((s) => s === 200));
+
+    // health-ручки на том же порту; апдейт без секрета не принимается
+    const base = `http://127.0.0.1:${port}`;
+    assert.equal((await fetch(`${base}/healthz`)).status, 200);
+    const forged = await fetch(`${base}/hook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ update_id: 999 }),
+    });
+    assert.equal(forged.status, 403);
+  });
+
+  it('/settings меняет режим и интервал без перезапуска', async () => {
+    const before = await boot([product(1)], {
+      env: { POLL_INTERVAL_SECONDS: '3600' },
+    });
+    const reply = async (text, match) => {
+      telegram.sendCommand(CHAT, text);
+      return waitUntil(() =>
+        telegram
+          .messages(CHAT)
+          .slice(before)
+          .find((t) => match.test(t)),
+      );
+    };
+
+    const view = await reply('/settings', /Настройки/);
+    assert.match(view, /Режим отслеживания: <code>DIMENSIONS<\/code>/);
+    const keyboard = telegram.sent.at(-1).payload.reply_markup.inline_keyboard;
+    assert.ok(
+      keyboard
+        .flat()
+        .some((b) => b.callback_data === 'set:SIZE_TRACKING_MODE:BOTH'),
+    );
+
+    assert.match(
+      await reply('/set POLL_INTERVAL_SECONDS 5', /❌/),
+      /не меньше 10/,
+    );
+    await reply('/set SIZE_TRACKING_MODE both', /<code>BOTH<\/code> ✏️/);
+    // 3600 → 600: тикер перепланирован без перезапуска
+    await reply('/set POLL_INTERVAL_SECONDS 600', /<code>600<\/code> ✏️/);
+    assert.match(await reply('/next', /Интервал: 600s/), /через (9|10) мин/);
+
+    // первый скан в BOTH запоминает атрибуты, второй видит изменение
+    const scan = async () => {
+      const done = telegram.messages(CHAT).length;
+      telegram.sendCommand(CHAT, '/scan');
+      await waitUntil(() =>
+        telegram
+          .messages(CHAT)
+          .slice(done)
+          .some((t) => /Скан завершён/.test(t)),
+      );
+    };
+    await scan();
+    ozon.updateProduct('SKU-1', {
+      attributes: [
+        { attribute_id: 4295, name: 'Размер', values: [{ value: 'L' }] },
+      ],
+    });
+    await scan();
+    await waitUntil(() =>
+      telegram
+        .messages(CHAT)
+        .some((t) => t.includes('Изменение атрибутов размера')),
+    );
+  });
+
+  it('/export и CLI выгружают товары и историю', async () => {
+    await boot([product(1), product(2), { ...product(12), offer_id: 'X-12' }]);
+
+    telegram.sendCommand(CHAT, '/export products csv SKU-*');
+    const doc = await waitUntil(() =>
+      telegram.sent.find((m) => m.method === 'sendDocument'),
+    );
+    assert.match(
+      doc.payload.document.filename,
+      /^products_SKU-_\d{4}-\d{2}-\d{2}\.csv$/,
+    );
+    const lines = doc.payload.document.content.split(/\r\n/).filter(Boolean);
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^\uFEFFАккаунт;offer_id;product_id;Название/);
+    assert.match(
+      lines[1],
+      /^default;SKU-1;101;Товар 1;;100;200;300;500;6;1\.2;МГТ;5–10 л/,
+    );
+
+    ozon.updateProduct('SKU-2', { dims: { ...product(2).dims, width: 250 } });
+    await app.waitForScans(2);
+
+    const out = path.join(app.dir, 'changes.xlsx');
+    execFileSync(
+      process.execPath,
+      [EXPORT_CLI, 'changes', 'xlsx', 'prefix=SKU-', `out=${out}`],
+      { cwd: app.dir, env: { PATH: process.env.PATH, DB_PATH: app.dbPath } },
+    );
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.readFile(out);
+    const sheet = wb.getWorksheet('История изменений');
+    assert.equal(sheet.rowCount, 2);
+    const [, , account, offerId, , kind, field, from, to] =
+      sheet.getRow(2).values;
+    assert.deepEqual(
+      [account, offerId, kind, field, from, to],
+      ['default', 'SKU-2', 'dims', 'width_mm', '200', '250'],
+    );
+  });
+
+  it('CLI: scan --once, show и reset-baseline без токена бота', async () => {
+    ozon = await createMockOzon({ products: [product(1), product(2)] }).start();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ozon-cli-'));
+    // execFile, а не execFileSync: мок Ozon живёт в этом же процессе
+    const cli = (...args) =>
+      promisify(execFile)(process.execPath, [CLI, ...args], {
+        cwd: dir,
+        timeout: 20_000,
+        env: {
+          PATH: process.env.PATH,
+          OZON_API_BASE: ozon.url,
+          OZON_CLIENT_ID: 'test-client',
+          OZON_API_KEY: 'test-key',
+          DB_PATH: path.join(dir, 'test.db'),
+          OZON_RETRY_BASE_MS: '20',
+        },
+      });
+    try {
+      // первый скан на пустой БД — baseline, без изменений
+      const baseline = await cli('scan', '--once');
+      assert.equal(baseline.stdout, '');
+      assert.match(baseline.stderr, /с ошибкой: 0, изменений: 0/);
+
+      // незавершённый скан, который ведёт бот, CLI не продолжает
+      const db = new Database(path.join(dir, 'test.db'));
+      const { lastInsertRowid: liveId } = db
+        .prepare(
+          "INSERT INTO scans(account, mode, phase, last_id, started_at, locked_by, heartbeat_at) VALUES ('default', 'full', 'ALL', '', datetime('now'), 'bot-host:1', datetime('now'))",
+        )
+        .run();
+      await assert.rejects(
+        cli('scan', '--once'),
+        /скан #\d+ уже идёт \(bot-host:1\)/,
+      );
+      // бот упал и давно не отмечался — скан продолжается тем же id
+      db.prepare(
+        "UPDATE scans SET heartbeat_at = datetime('now', '-1 hour') WHERE id = ?",
+      ).run(liveId);
+      await cli('scan', '--once');
+      const resumed = db
+        .prepare('SELECT resumed, locked_by, phase FROM scans WHERE id = ?')
+        .get(liveId);
+      db.close();
+      assert.deepEqual(resumed, { resumed: 1, locked_by: null, phase: null });
+
+      ozon.updateProduct('SKU-1', {
+        dims: { ...product(1).dims, width: 250 },
+      });
+      const scan = await cli('scan', '--once');
+      assert.match(scan.stdout, /Изменение размеров — SKU-1/);
+      assert.match(scan.stdout, /Ширина: 200 мм → 250 мм/);
+      assert.doesNotMatch(scan.stdout, /SKU-2/);
+      assert.match(scan.stderr, /изменений: 1/);
+
+      const show = await cli('show', 'SKU-1');
+      assert.match(
+        show.stdout,
+        /Размеры: Д=100 мм, Ш=250 мм, В=300 мм, Вес=500 г/,
+      );
+
+      // после сброса новые размеры становятся базой молча
+      const reset = await cli('reset-baseline', 'SKU-1');
+      assert.match(reset.stdout, /сброшена у товаров: 1/);
+      ozon.updateProduct('SKU-1', {
+        dims: { ...product(1).dims, width: 300 },
+      });
+      const quiet = await cli('scan', '--once');
+      assert.equal(quiet.stdout, '');
+      assert.match((await cli('show', 'SKU-1')).stdout, /Ш=300 мм/);
+
+      await assert.rejects(cli('show', 'SKU-404'), /товара нет в БД/);
+
+      // export — та же выгрузка, что у src/export-cli.js
+      const csv = await cli('export', 'products', 'csv', 'out=-');
+      assert.match(csv.stdout, /^\uFEFFАккаунт;offer_id/);
+      assert.match(csv.stdout, /default;SKU-1;101;Товар 1/);
+      assert.match(csv.stderr, /2 строк → stdout/);
+      await assert.rejects(cli('export', 'prices'), /Параметры/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('разводит алерты по каналам: вебхук, email и Telegram', async () => {
+    const erp = await createFakeWebhook().start();
+    const smtp = await createFakeSmtp().start();
+    try {
+      // первая попытка вебхука падает — сообщение ждёт в outbox и уходит повтором
+      erp.fail({ status: 503 });
+      const before = await boot([product(1)], {
+        env: {
+          SMTP_URL: smtp.url,
+          SMTP_FROM: 'notifier@example.com',
+          NOTIFY_CHANNELS: JSON.stringify([
+            { type: 'telegram', types: ['dims'] },
+            {
+              name: 'erp',
+              type: 'webhook',
+              url: `${erp.url}/ozon`,
+              headers: { 'X-Token': 'erp-secret' },
+              types: ['dims'],
+            },
+            {
+              name: 'boss',
+              type: 'email',
+              to: 'boss@example.com',
+              types: ['new'],
+            },
+          ]),
+        },
+      });
+
+      ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+      ozon.setProducts([
+        { ...product(1), dims: { ...product(1).dims, width: 250 } },
+        product(2),
+      ]);
+      await waitUntil(() => erp.received.length && smtp.mails.length, {
+        timeout: 20000,
+      });
+
+      const [hook] = erp.received;
+      assert.equal(hook.path, '/ozon');
+      assert.equal(hook.headers['x-token'], 'erp-secret');
+      assert.equal(hook.body.type, 'dims');
+      assert.equal(hook.body.account, 'default');
+      assert.equal(hook.body.offer_id, 'SKU-1');
+      assert.match(hook.body.text, /Ширина: 200 мм → 250 мм/);
+      assert.ok(
+        app.logs.some((l) => l.event === 'retry' && l.channel === 'erp'),
+      );
+
+      const [mail] = smtp.mails;
+      assert.deepEqual(mail.to, ['boss@example.com']);
+      assert.equal(mail.from, 'notifier@example.com');
+      // text/plain — первая часть письма, в base64
+      const plain = mail.data.split('base64\r\n\r\n')[1].split('\r\n--')[0];
+      assert.match(
+        Buffer.from(plain, 'base64').toString(),
+        /Новый товар — SKU-2/,
+      );
+
+      // в Telegram — только размеры: «новый товар» сюда не маршрутизирован
+      await app.waitForScans(1);
+      const alerts = telegram.messages(CHAT).slice(before);
+      assert.ok(alerts.some((t) => /Изменение размеров/.test(t)));
+      assert.ok(!alerts.some((t) => /Новый товар/.test(t)));
+      assert.equal(erp.received.length, 1);
+      assert.equal(smtp.mails.length, 1);
+    } finally {
+      await erp.stop();
+      await smtp.stop();
+    }
+  });
+
+  it('удаляет аккаунт, убранный из конфига', async () => {
+    ozon = await createMockOzon({ products: [product(1)] }).start();
+    app = startApp({
+      ozon,
+      telegram,
+      // прежнее имя кабинета из OZON_ACCOUNT_NAME
+      prepare: (dbPath) => {
+        const db = new Database(dbPath);
+        migrate(db, { defaultAccount: 'old' });
+        db.exec(`
+INSERT INTO accounts(name, client_id, api_key, source) VALUES ('old', 'test-client', 'test-key', 'config');
+INSERT INTO products(account, offer_id, name, errors) VALUES ('old', 'SKU-1', 'Товар 1', '[{"code":"BAD_IMAGE"}]');
+INSERT INTO product_changes(account, offer_id, kind, field, changed_at) VALUES ('old', 'SKU-1', 'dims', 'width_mm', datetime('now'));`);
+        db.close();
+      },
+    });
+    await app.waitForLog((l) => l.kind === 'scan' && l.event === 'end');
+    const removed = app.logs.find((l) => l.event === 'config_removed');
+    assert.equal(removed.name, 'old');
+    const scanned = app.logs
+      .filter((l) => l.kind === 'scan' && l.event === 'start')
+      .map((l) => l.account);
+    assert.deepEqual([...new Set(scanned)], ['default']);
+    // товары и история удалённого аккаунта ушли вместе с ним
+    const db = new Database(app.dbPath, { readonly: true });
+    const left = ['products', 'product_changes'].map(
+      (t) =>
+        db.prepare(`SELECT COUNT(1) AS c FROM ${t} WHERE account = 'old'`).get()
+          .c,
+    );
+    db.close();
+    assert.deepEqual(left, [0, 0]);
+  });
+
+  it('/delaccount удаляет аккаунт вместе с его товарами', async () => {
+    await boot([product(1)]);
+    telegram.sendCommand(CHAT, '/addaccount shop2 client-2 key-2');
+    await app.waitForLog(
+      (l) => l.kind === 'scan' && l.event === 'end' && l.account === 'shop2',
+    );
+    // выключенный аккаунт тик не сканирует — удаление не попадёт на его скан
+    telegram.sendCommand(CHAT, '/account shop2 off');
+    await waitUntil(() =>
+      telegram
+        .messages(CHAT)
+        .some((t) => t.includes('shop2') && t.includes('выключен')),
+    );
+    const ticks = app.logs.filter((l) => l.event === 'tick_end').length;
+    await waitUntil(
+      () => app.logs.filter((l) => l.event === 'tick_end').length > ticks,
+    );
+
+    telegram.sendCommand(CHAT, '/delaccount shop2');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Аккаунт shop2 удалён')),
+    );
+    const db = new Database(app.dbPath, { readonly: true });
+    const accounts = db
+      .prepare('SELECT DISTINCT account FROM products ORDER BY account')
+      .all()
+      .map((r) => r.account);
+    db.close();
+    assert.deepEqual(accounts, ['default']);
+  });
+
+  it('мигрирует БД от src/index.js и не стартует на более новой схеме', async () => {
+    ozon = await createMockOzon({ products: [product(1)] }).start();
+    app = startApp({
+      ozon,
+      telegram,
+      env: { ADMIN_IDS: String(CHAT) },
+      prepare: (dbPath) => {
+        const db = new Database(dbPath);
+        db.exec(`
+CREATE TABLE chats (chat_id INTEGER PRIMARY KEY);
+CREATE TABLE products (
+  offer_id TEXT PRIMARY KEY, product_id INTEGER, name TEXT, updated_at TEXT,
+  dim_hash TEXT, depth_mm REAL, width_mm REAL, height_mm REAL, weight_g REAL,
+  attr_hash TEXT, last_seen_at TEXT
+);
+INSERT INTO chats VALUES (${CHAT}), (3003);
+INSERT INTO products(offer_id, product_id, name, depth_mm, width_mm, height_mm, weight_g)
+VALUES ('SKU-1', 101, 'Товар 1', 100, 200, 300, 500);
+`);
+        db.close();
+      },
+    });
+    await app.waitForLog((l) => l.kind === 'scan' && l.event === 'end');
+    const migrated = app.logs.filter((l) => l.event === 'migrated');
+    assert.deepEqual(
+      migrated.map((l) => l.version),
+      [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    );
+    assert.ok(app.logs.some((l) => l.event === 'rekey_by_account'));
+
+    const db = new Database(app.dbPath, { readonly: true });
+    const row = db.prepare('SELECT * FROM products').get();
+    const chats = db
+      .prepare('SELECT chat_id, status, role FROM chats ORDER BY chat_id')
+      .all();
+    const version = db
+      .prepare('SELECT MAX(version) AS v FROM schema_version')
+      .get().v;
+    db.close();
+    assert.equal(row.account, 'default');
+    assert.equal(row.width_mm, 200);
+    assert.equal(version, 12);
+    // до контроля доступа /start подключал любого: одобрен только админ
+    assert.deepEqual(chats, [
+      { chat_id: CHAT, status: 'approved', role: 'admin' },
+      { chat_id: 3003, status: 'pending', role: 'viewer' },
+    ]);
+    assert.deepEqual(
+      app.logs.find((l) => l.event === 'chats_pending').chat_ids,
+      [3003],
+    );
+    // товар из старой БД не считается новым
+    await app.waitForScans(1);
+    assert.ok(!telegram.messages(CHAT).some((t) => /Новый товар/.test(t)));
+    // старые точки входа в мигрированную БД не пишут
+    for (const entry of LEGACY_ENTRYPOINTS)
+      await assert.rejects(
+        promisify(execFile)(process.execPath, [entry], {
+          cwd: app.dir,
+          timeout: 20_000,
+          env: {
+            PATH: process.env.PATH,
+            DB_PATH: app.dbPath,
+            TELEGRAM_BOT_TOKEN: 'test-token',
+          },
+        }),
+        /схема БД обновлена src\/main\.js/,
+      );
+    await app.stop();
+
+    // подложенная БД «из будущего» — отказ стартовать
+    app = startApp({
+      ozon,
+      telegram,
+      prepare: (dbPath) => {
+        const db = new Database(dbPath);
+        db.exec(
+          "CREATE TABLE schema_version (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL); INSERT INTO schema_version VALUES (99, 'future', datetime('now'));",
+        );
+        db.close();
+      },
+    });
+    const refusal = await waitUntil(() =>
+      app.output.find((l) => /версии 99 новее/.test(l)),
+    );
+    assert.match(refusal, /\(12\)/);
+    assert.ok(!app.logs.some((l) => l.event === 'startup'));
+  });
+
+  it('проходит все страницы /v3/product/list', async () => {
+    const products = Array.from({ length: 5 }, (_, i) => product(i + 1));
+    const before = await boot(products, { pageSize: 2 });
+
+    const listCalls = ozon.requests.filter(
+      (r) => r.path === '/v3/product/list',
+    );
+    // ALL: 3 страницы (2+2+1), ARCHIVED: одна пустая
+    assert.equal(listCalls.length, 4);
+    assert.deepEqual(
+      listCalls.slice(0, 3).map((r) => r.body.last_id),
+      ['', '2', '4'],
+    );
+    // страницы обрабатываются параллельно, а курсор сдвигается по порядку
+    const firstScan = app.logs.find((l) => l.event === 'batch_done').scan_id;
+    assert.deepEqual(
+      app.logs
+        .filter((l) => l.event === 'batch_done' && l.scan_id === firstScan)
+        .map((l) => [l.phase, l.offers_done]),
+      [
+        ['ALL', 2],
+        ['ALL', 4],
+        ['ALL', 5],
+      ],
+    );
+    // total считается один раз, хотя вторая страница приходит до checkpoint первой
+    const db = new Database(app.dbPath, { readonly: true });
+    const { offers_total } = db
+      .prepare('SELECT offers_total FROM scans WHERE id = ?')
+      .get(firstScan);
+    db.close();
+    assert.equal(offers_total, 5);
+
+    ozon.updateProduct('SKU-5', { dims: { ...product(5).dims, height: 310 } });
+    await app.waitForScans(1);
+    // алерт уходит из outbox уже после конца скана
+    await waitUntil(() => telegram.messages(CHAT).length > before);
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0], /SKU-5/);
+  });
+
+  it('продолжает прерванный скан с сохранённого курсора', async () => {
+    const products = Array.from({ length: 5 }, (_, i) => product(i + 1));
+    ozon = await createMockOzon({ products, pageSize: 2 }).start();
+    // вторая страница отвечает 400 (без ретраев) — три скана подряд обрываются
+    ozon.fail('/v3/product/list', {
+      status: 400,
+      times: 3,
+      when: (body) => body.last_id === '2',
+    });
+    telegram.sendCommand(CHAT, '/start');
+    app = startApp({ ozon, telegram, env: { ADMIN_IDS: String(CHAT) } });
+    await app.waitForLog((l) => l.kind === 'scan' && l.event === 'error');
+
+    telegram.sendCommand(CHAT, '/status');
+    const status = await waitUntil(() =>
+      telegram
+        .messages(CHAT)
+        .find((t) => /обработано товаров 2 из 5, пачек 1/.test(t)),
+    );
+    assert.match(status, /прерван|идёт/);
+
+    const end = await app.waitForLog(
+      (l) => l.kind === 'scan' && l.event === 'end',
+    );
+    const starts = app.logs.filter(
+      (l) => l.kind === 'scan' && l.event === 'start',
+    );
+    assert.ok(starts.length >= 2);
+    assert.ok(starts.every((l) => l.scan_id === end.scan_id));
+    assert.equal(starts.at(-1).last_id, '2');
+    // первая страница больше не запрашивалась
+    const firstPages = ozon.requests.filter(
+      (r) =>
+        r.path === '/v3/product/list' &&
+        r.body.filter.visibility === 'ALL' &&
+        r.body.last_id === '',
+    );
+    assert.equal(firstPages.length, 1);
+
+    const db = new Database(app.dbPath, { readonly: true });
+    const scan = db
+      .prepare('SELECT * FROM scans WHERE id = ?')
+      .get(end.scan_id);
+    const count = db.prepare('SELECT COUNT(1) AS c FROM products').get().c;
+    db.close();
+    assert.equal(scan.offers, 5);
+    assert.equal(scan.phase, null);
+    assert.equal(count, 5);
+    // скан начинался на пустой БД — досохранённые товары не «новые»
+    assert.ok(!telegram.messages(CHAT).some((t) => /Новый товар/.test(t)));
+  });
+
+  it('продолженный этап MISSING не считает пропажу второй раз', async () => {
+    ozon = await createMockOzon({ products: [product(1)] }).start();
+    app = startApp({
+      ozon,
+      telegram,
+      env: { DISAPPEAR_AFTER_SCANS: '2' },
+      // скан #7 упал посреди MISSING: SKU-9 он уже посчитал пропавшим
+      prepare: (dbPath) => {
+        const db = new Database(dbPath);
+        migrate(db, { defaultAccount: 'default' });
+        db.exec(`
+INSERT INTO scans(id, account, mode, phase, last_id, offers_done, started_at)
+  VALUES (7, 'default', 'full', 'MISSING', '', 1, datetime('now'));
+INSERT INTO products(account, offer_id, name, last_scan_id)
+  VALUES ('default', 'SKU-1', 'Товар 1', 7);
+INSERT INTO products(account, offer_id, name, last_scan_id, missing_scans, missing_scan_id)
+  VALUES ('default', 'SKU-9', 'Товар 9', 6, 1, 7);`);
+        db.close();
+      },
+    });
+    const end = await app.waitForLog(
+      (l) => l.kind === 'scan' && l.event === 'end',
+    );
+    assert.equal(end.scan_id, 7);
+
+    // ровно на втором пропуске — уже в следующем скане, не в продолженном
+    await app.waitForScans(1);
+    const db = new Database(app.dbPath, { readonly: true });
+    const gone = db
+      .prepare(
+        "SELECT scan_id FROM product_changes WHERE offer_id = 'SKU-9' AND kind = 'lifecycle'",
+      )
+      .all();
+    const { missing_scans } = db
+      .prepare("SELECT missing_scans FROM products WHERE offer_id = 'SKU-9'")
+      .get();
+    db.close();
+    assert.equal(gone.length, 1);
+    assert.notEqual(gone[0].scan_id, 7);
+    assert.ok(missing_scans >= 2);
+  });
+
+  it('при ошибке /v3/product/info/list берёт данные из /v2/product/info', async () => {
+    const before = await boot([product(1)]);
+
+    // 500 ретраится: ошибка должна пережить все попытки (1 + OZON_MAX_RETRIES)
+    ozon.fail('/v3/product/info/list', { status: 500, times: 6 });
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, depth: 120 } });
+    await app.waitForScans(1);
+
+    assert.ok(ozon.callsTo('/v2/product/info') >= 1);
+    assert.ok(
+      app.logs.some((l) => l.event === 'info_list_failed'),
+      'fallback должен попасть в лог',
+    );
+    // алерт уходит из outbox уже после конца скана
+    await waitUntil(() => telegram.messages(CHAT).length > before);
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1);
+    assert.match(
+      alerts[0],
+      /Длина\/Глубина: <code>100 мм<\/code> → <code>120 мм<\/code>/,
+    );
+  });
+
+  it('повторяет запрос после 429 с Retry-After', async () => {
+    ozon = await createMockOzon({ products: [product(1)] }).start();
+    ozon.fail('/v3/product/list', {
+      status: 429,
+      times: 2,
+      headers: { 'Retry-After': '1' },
+    });
+    app = startApp({ ozon, telegram });
+    await app.waitForLog((l) => l.kind === 'scan' && l.event === 'end');
+
+    const retries = app.logs.filter(
+      (l) => l.event === 'retry' && l.path === '/v3/product/list',
+    );
+    assert.equal(retries.length, 2);
+    assert.ok(retries.every((r) => r.status === 429));
+    assert.ok(!app.logs.some((l) => l.kind === 'scan' && l.event === 'error'));
+  });
+
+  it('в режиме BOTH сообщает об изменении атрибута размера', async () => {
+    const before = await boot([product(1)], {
+      env: { SIZE_TRACKING_MODE: 'BOTH' },
+    });
+
+    ozon.updateProduct('SKU-1', {
+      attributes: [
+        { attribute_id: 4295, name: 'Размер', values: [{ value: 'L' }] },
+      ],
+    });
+    await app.waitForScans(2);
+
+    const alerts = telegram.messages(CHAT).slice(before);
+    assert.equal(alerts.length, 1, alerts.join('\n---\n'));
+    assert.match(alerts[0], /Изменение атрибутов размера/);
+    assert.match(alerts[0], /Размер: <code>M<\/code> → <code>L<\/code>/);
+  });
+
+  it('не шлёт пустой алерт об атрибутах при смене порядка и имени', async () => {
+    const size = (name, value) => ({
+      attribute_id: name === 'Размер производителя' ? 9533 : 4295,
+      name,
+      values: [{ value }],
+    });
+    const before = await boot(
+      [
+        {
+          ...product(1),
+          attributes: [size('Размер', 'M'), size('Размер производителя', '48')],
+        },
+      ],
+      { env: { SIZE_TRACKING_MODE: 'BOTH' } },
+    );
+
+    // те же значения: атрибуты в другом порядке, у одного новое имя
+    ozon.updateProduct('SKU-1', {
+      attributes: [
+        size('Размер производителя', '48'),
+        size('Российский размер', 'M'),
+      ],
+    });
+    await app.waitForScans(3);
+
+    assert.deepEqual(telegram.messages(CHAT).slice(before), []);
+  });
+
+  // алерт — новое сообщение в CHAT после mark, подходящее под re
+  const nextAlert = (chatId, mark, re) =>
+    waitUntil(() =>
+      telegram
+        .messages(chatId)
+        .slice(mark)
+        .find((t) => re.test(t)),
+    );
+
+  it('/history листает историю кнопками', async () => {
+    const before = await boot([product(1)]);
+    // четыре поля за скан: три правки — 12 записей, две страницы
+    for (const k of [1, 2, 3]) {
+      const mark = telegram.messages(CHAT).length;
+      ozon.updateProduct('SKU-1', {
+        dims: {
+          ...product(1).dims,
+          depth: 100 + k,
+          width: 200 + k,
+          height: 300 + k,
+          weight: 500 + k,
+        },
+      });
+      await nextAlert(CHAT, mark, /Изменение размеров/);
+    }
+    assert.equal(telegram.messages(CHAT).length, before + 3);
+
+    telegram.sendCommand(CHAT, '/history SKU-1');
+    const first = await waitUntil(() =>
+      telegram.sent.find(
+        (m) =>
+          m.method === 'sendMessage' &&
+          /История изменений/.test(m.payload.text),
+      ),
+    );
+    assert.match(first.payload.text, /Стр\. 1\/2, всего записей: 12/);
+    const buttons = first.payload.reply_markup.inline_keyboard.flat();
+    assert.deepEqual(
+      buttons.map((b) => b.callback_data),
+      ['hist:2:SKU-1'],
+    );
+
+    telegram.pressButton(CHAT, 'hist:2:SKU-1');
+    const edit = await waitUntil(() =>
+      telegram.sent.find((m) => m.method === 'editMessageText'),
+    );
+    assert.match(edit.payload.text, /Стр\. 2\/2/);
+    assert.deepEqual(
+      edit.payload.reply_markup.inline_keyboard
+        .flat()
+        .map((b) => b.callback_data),
+      ['hist:1:SKU-1'],
+    );
+  });
+
+  it('шлёт алерт только чатам, подписанным на товар', async () => {
+    const OTHER = 2002;
+    telegram.sendCommand(OTHER, '/start');
+    await boot([product(1), product(2)]);
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Запрос доступа')),
+    );
+    telegram.sendCommand(CHAT, `/approve ${OTHER}`);
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('одобрен')),
+    );
+    telegram.sendCommand(OTHER, '/watch SKU-2');
+    await waitUntil(() =>
+      telegram.messages(OTHER).some((t) => t.includes('Подписка добавлена')),
+    );
+    const mark = telegram.messages(OTHER).length;
+    const markAll = telegram.messages(CHAT).length;
+
+    for (const n of [1, 2])
+      ozon.updateProduct(`SKU-${n}`, {
+        dims: { ...product(n).dims, width: 250 },
+      });
+    // чат без подписок получает всё, подписанный — только свой товар
+    await nextAlert(CHAT, markAll, /SKU-1/);
+    await nextAlert(CHAT, markAll, /SKU-2/);
+    await nextAlert(OTHER, mark, /SKU-2/);
+    await app.waitForScans(1);
+    assert.ok(
+      !telegram
+        .messages(OTHER)
+        .slice(mark)
+        .some((t) => /SKU-1/.test(t)),
+    );
+  });
+
+  it('ценовой алерт уходит только выше порога чата', async () => {
+    const priced = {
+      ...product(1),
+      price: { price: '1000', currency_code: 'RUB' },
+    };
+    await boot([priced], { env: { TRACK_PRICES: '1' } });
+    telegram.sendCommand(CHAT, '/pricethreshold 5%');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('Порог ценовых алертов')),
+    );
+    const mark = telegram.messages(CHAT).length;
+
+    // +1% — в историю, без алерта
+    ozon.updateProduct('SKU-1', {
+      price: { price: '1010', currency_code: 'RUB' },
+    });
+    await app.waitForScans(2);
+    assert.equal(telegram.messages(CHAT).length, mark);
+
+    // +10% от последней цены — алерт
+    ozon.updateProduct('SKU-1', {
+      price: { price: '1111', currency_code: 'RUB' },
+    });
+    const alert = await nextAlert(CHAT, mark, /Изменение цены/);
+    assert.match(alert, /Цена: <code>1010 ₽<\/code> → <code>1111 ₽<\/code>/);
+    assert.match(alert, /\+101, \+10%/);
+    assert.equal(telegram.messages(CHAT).length, mark + 1);
+  });
+
+  it('сообщает об остатках: мало, закончился, снова в наличии', async () => {
+    const stocked = (present) => [{ type: 'fbo', present, reserved: 0 }];
+    await boot([{ ...product(1), stocks: stocked(10) }], {
+      env: { TRACK_STOCKS: '1' },
+    });
+    telegram.sendCommand(CHAT, '/lowstock 5');
+    await waitUntil(() =>
+      telegram.messages(CHAT).some((t) => t.includes('ниже 5 шт')),
+    );
+
+    const steps = [
+      [3, /Мало остатков.*\n[\s\S]*FBO: <code>10<\/code> → <code>3<\/code>/],
+      [0, /Нет в наличии[\s\S]*FBO: <code>3<\/code> → <code>0<\/code>/],
+      [7, /Снова в наличии[\s\S]*FBO: <code>0<\/code> → <code>7<\/code>/],
+    ];
+    for (const [present, re] of steps) {
+      const mark = telegram.messages(CHAT).length;
+      ozon.updateProduct('SKU-1', { stocks: stocked(present) });
+      await nextAlert(CHAT, mark, re);
+    }
+  });
+
+  it('сообщает о новых, архивных и пропавших товарах', async () => {
+    const before = await boot([product(1), product(2)], {
+      env: { DISAPPEAR_AFTER_SCANS: '2' },
+    });
+
+    ozon.setProducts([
+      { ...product(1), hidden: true },
+      { ...product(2), archived: true },
+      product(3),
+    ]);
+    await nextAlert(CHAT, before, /Новый товар<\/b> — <code>SKU-3<\/code>/);
+    await nextAlert(
+      CHAT,
+      before,
+      /Товар перенесён в архив<\/b> — <code>SKU-2<\/code>/,
+    );
+    const gone = await nextAlert(CHAT, before, /пропал из каталога/);
+    assert.match(gone, /SKU-1/);
+    assert.match(gone, /уже 2 скан/);
+
+    // алерт о пропаже — один раз, на втором пропуске
+    await app.waitForScans(2);
+    assert.equal(
+      telegram
+        .messages(CHAT)
+        .slice(before)
+        .filter((t) => /пропал из каталога/.test(t)).length,
+      1,
+    );
+  });
+
+  it('сообщает об отклонении модерацией, /errors показывает ошибки', async () => {
+    const before = await boot([
+      { ...product(1), statuses: { moderate_status: 'approved' } },
+    ]);
+
+    ozon.updateProduct('SKU-1', {
+      statuses: { moderate_status: 'declined' },
+      errors: [
+        {
+          code: 'BAD_IMAGE',
+          attribute_id: 4194,
+          texts: { attribute_name: 'Фото', short_description: 'Плохое фото' },
+        },
+      ],
+    });
+    const alert = await nextAlert(CHAT, before, /отклонён модерацией/);
+    assert.match(alert, /<code>approved<\/code> → <code>declined<\/code>/);
+    assert.match(alert, /<code>BAD_IMAGE<\/code> \(Фото\) — Плохое фото/);
+
+    telegram.sendCommand(CHAT, '/errors');
+    const report = await nextAlert(CHAT, before, /Товары с ошибками: 1/);
+    assert.match(report, /default · <code>SKU-1<\/code> Товар 1 \[declined\]/);
+    assert.match(report, /BAD_IMAGE/);
+  });
+
+  it('сканирует несколько аккаунтов и подписывает алерты их именами', async () => {
+    const before = await boot([product(1)], {
+      env: { OZON_ACCOUNTS: 'shop2:client-2:key-2' },
+    });
+    assert.ok(ozon.requests.some((r) => r.clientId === 'client-2'));
+
+    ozon.updateProduct('SKU-1', { dims: { ...product(1).dims, width: 250 } });
+    await nextAlert(CHAT, before, /^🏷 <b>default<\/b>\n.*SKU-1/);
+    await nextAlert(CHAT, before, /^🏷 <b>shop2<\/b>\n.*SKU-1/);
+  });
+});
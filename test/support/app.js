@@ -0,0 +1,105 @@
+/**
+ * Запуск src/main.js отдельным процессом против локальных стендов.
+ * JSON-логи из stdout собираются в logs, чтобы тесты могли дождаться
+ * нужного события (например, окончания скана).
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MAIN = fileURLToPath(new URL('../../src/main.js', import.meta.url));
+
+export const waitUntil = async (check, { timeout = 15000, step = 50 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('waitUntil: timeout');
+    await new Promise((r) => setTimeout(r, step));
+  }
+};
+
+// prepare(dbPath) — подложить БД до старта (например, от старой версии)
+export const startApp = ({ ozon, telegram, env = {}, prepare }) => {
+  // cwd во временной папке, чтобы dotenv не подхватил настоящий .env
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ozon-notifier-'));
+  const dbPath = path.join(dir, 'test.db');
+  prepare?.(dbPath);
+  const logs = [];
+  const output = [];
+
+  const child = spawn(process.execPath, [MAIN], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      TELEGRAM_BOT_TOKEN: '123456:TEST',
+      TELEGRAM_API_ROOT: telegram.url,
+      OZON_API_BASE: ozon.url,
+      OZON_CLIENT_ID: 'test-client',
+      OZON_API_KEY: 'test-key',
+      DB_PATH: dbPath,
+      POLL_INTERVAL_SECONDS: '1',
+      OZON_RETRY_BASE_MS: '20',
+      // outbox шлёт сразу, чтобы алерты успевали дойти до конца следующего скана
+      OUTBOX_CHAT_INTERVAL_MS: '0',
+      LOG_API: '0',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let tail = '';
+  child.stdout.on('data', (chunk) => {
+    tail += chunk;
+    const lines = tail.split('\n');
+    tail = lines.pop();
+    for (const line of lines) {
+      output.push(line);
+      try {
+        logs.push(JSON.parse(line));
+      } catch {
+        /* не JSON — обычный console.log */
+      }
+    }
+  });
+  child.stderr.on('data', (chunk) => output.push(String(chunk)));
+
+  const scanEnds = () =>
+    logs.filter((l) => l.kind === 'scan' && l.event === 'end').length;
+
+  return {
+    dir,
+    dbPath,
+    logs,
+    output,
+    scanEnds,
+    // ждём n полностью завершённых сканов, начатых после вызова
+    async waitForScans(n = 1, opts) {
+      const started = logs.filter(
+        (l) => l.kind === 'scan' && l.event === 'start',
+      ).length;
+      await waitUntil(
+        () =>
+          logs.filter((l) => l.kind === 'scan' && l.event === 'end').length >=
+          started + n,
+        opts,
+      );
+    },
+    waitForLog(match, opts) {
+      return waitUntil(() => logs.find(match), opts);
+    },
+    async stop() {
+      if (child.exitCode == null) {
+        const exited = new Promise((r) => child.once('exit', r));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Минимальный SMTP-сервер для тестов: принимает письма без TLS и авторизации
+ * и складывает их в `mails` ({ from, to, data }). Хватает для nodemailer.
+ */
+
+import net from 'node:net';
+
+export const createFakeSmtp = () => {
+  const mails = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+    let buffer = '';
+    let mail = null;
+    let inData = false;
+    const say = (line) => socket.write(`${line}\r\n`);
+    say('220 fake-smtp ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          mail.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          mails.push(mail);
+          mail = null;
+          say('250 OK: queued');
+          continue;
+        }
+        const eol = buffer.indexOf('\r\n');
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') say('250 fake-smtp');
+        else if (cmd === 'MAIL') {
+          mail = { from: line.match(/<([^>]*)>/)?.[1], to: [], data: '' };
+          say('250 OK');
+        } else if (cmd === 'RCPT') {
+          mail?.to.push(line.match(/<([^>]*)>/)?.[1]);
+          say('250 OK');
+        } else if (cmd === 'DATA') {
+          inData = true;
+          say('354 End data with <CR><LF>.<CR><LF>');
+        } else if (cmd === 'QUIT') {
+          say('221 Bye');
+          socket.end();
+        } else if (cmd === 'RSET' || cmd === 'NOOP') say('250 OK');
+        else say('502 Command not implemented');
+      }
+    });
+  });
+
+  return {
+    mails,
+    get url() {
+      return `smtp://127.0.0.1:${server.address().port}`;
+    },
+    start() {
+      return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => resolve(this)),
+      );
+    },
+    stop() {
+      for (const s of sockets) s.destroy();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+};
@@ -0,0 +1,233 @@
+/**
+ * Поддельный Bot API Telegram: копит всё, что отправил бот, и отдаёт ему
+ * апдейты из очереди через getUpdates, а после setWebhook — POST-ом на вебхук.
+ * Подключается через TELEGRAM_API_ROOT.
+ */
+
+import http from 'node:http';
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (c) => (raw += c));
+    req.on('end', () => resolve(raw));
+  });
+
+const parseBody = (req, raw) => {
+  const type = req.headers['content-type'] || '';
+  if (type.includes('application/json')) return raw ? JSON.parse(raw) : {};
+  if (type.includes('multipart/form-data')) {
+    // для sendDocument достаточно полей формы и имени файла
+    const out = {};
+    for (const part of raw.split(/--[^\r\n]+/)) {
+      const name = part.match(/name="([^"]+)"/)?.[1];
+      if (!name) continue;
+      const filename = part.match(/filename="([^"]+)"/)?.[1];
+      const value = part
+        .split(/\r\n\r\n/)
+        .slice(1)
+        .join('\r\n\r\n');
+      out[name] = filename
+        ? { filename, content: value.replace(/\r\n$/, '') }
+        : value.replace(/\r\n$/, '');
+    }
+    return out;
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+// как Bot API с parse_mode=HTML: неизвестный тег или голые < и & — 400
+const TG_TAGS = /<\/?(b|strong|i|em|u|ins|s|strike|del|code|pre|a)(\s[^>]*)?>/g;
+const invalidHtml = (text) => {
+  const rest = String(text ?? '').replace(TG_TAGS, '');
+  return /</.test(rest) || /&(?!(lt|gt|amp|quot|#\d+);)/.test(rest);
+};
+
+export const createFakeTelegram = () => {
+  const sent = [];
+  const updates = [];
+  const faults = [];
+  let updateId = 1;
+  let messageId = 1;
+  let webhook = null;
+  let webhookTarget = null;
+  const webhookResponses = [];
+
+  // как настоящий Telegram: апдейты по одному, секрет — в заголовке
+  const pushWebhook = async () => {
+    while (webhook && updates.length) {
+      const update = updates.shift();
+      const res = await fetch(webhookTarget || webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(webhook.secret_token
+            ? { 'X-Telegram-Bot-Api-Secret-Token': webhook.secret_token }
+            : {}),
+        },
+        body: JSON.stringify(update),
+      }).catch((e) => ({ status: e.message }));
+      webhookResponses.push(res.status);
+    }
+  };
+
+  const reply = (res, result) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result }));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const raw = await readBody(req);
+    const method = req.url.split('/').pop();
+    const payload = parseBody(req, raw);
+
+    if (method === 'getMe')
+      return reply(res, {
+        id: 1,
+        is_bot: true,
+        first_name: 'Test',
+        username: 'test_bot',
+      });
+    if (method === 'setWebhook') {
+      webhook = { url: payload.url, secret_token: payload.secret_token };
+      sent.push({ method, payload });
+      reply(res, true);
+      return pushWebhook();
+    }
+    if (method === 'getUpdates') {
+      // короткий long polling, чтобы бот не крутился вхолостую
+      if (!updates.length) await new Promise((r) => setTimeout(r, 100));
+      return reply(res, updates.splice(0));
+    }
+
+    const chatId = Number(payload.chat_id);
+    const fault = faults.find(
+      (f) =>
+        f.method === method &&
+        f.times > 0 &&
+        (f.chatId == null || f.chatId === chatId),
+    );
+    if (fault) {
+      fault.times -= 1;
+      res.writeHead(fault.error_code, { 'Content-Type': 'application/json' });
+      return res.end(
+        JSON.stringify({
+          ok: false,
+          error_code: fault.error_code,
+          description: fault.description,
+          ...(fault.retry_after
+            ? { parameters: { retry_after: fault.retry_after } }
+            : {}),
+        }),
+      );
+    }
+
+    const html = payload.parse_mode === 'HTML';
+    if (html && invalidHtml(payload.text ?? payload.caption)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(
+        JSON.stringify({
+          ok: false,
+          error_code: 400,
+          description: "Bad Request: can't parse entities",
+        }),
+      );
+    }
+
+    sent.push({ method, chat_id: chatId, payload });
+    if (method.startsWith('send'))
+      return reply(res, {
+        message_id: messageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(payload.chat_id), type: 'private' },
+        text: payload.text,
+      });
+    return reply(res, true);
+  });
+
+  return {
+    sent,
+    // HTTP-статусы ответов вебхука бота
+    webhookResponses,
+    // текстовые сообщения бота (опционально — одному чату)
+    messages(chatId) {
+      return sent
+        .filter((m) => m.method === 'sendMessage')
+        .filter((m) => chatId == null || m.chat_id === chatId)
+        .map((m) => m.payload.text);
+    },
+    // следующие `times` вызовов method (опционально — в чат chatId) вернут ошибку
+    fail(
+      method,
+      {
+        chatId,
+        times = 1,
+        error_code = 500,
+        description = 'Internal Server Error',
+        retry_after,
+      } = {},
+    ) {
+      faults.push({
+        method,
+        chatId,
+        times,
+        error_code,
+        description,
+        retry_after,
+      });
+    },
+    // куда на самом деле слать вебхук — как обратный прокси перед ботом
+    routeWebhook(url) {
+      webhookTarget = url;
+    },
+    sendCommand(chatId, text, from = chatId) {
+      const command = text.split(/\s+/)[0];
+      updates.push({
+        update_id: updateId++,
+        message: {
+          message_id: messageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+          from: { id: from, is_bot: false, first_name: 'Tester' },
+          text,
+          entities: [
+            { type: 'bot_command', offset: 0, length: command.length },
+          ],
+        },
+      });
+      pushWebhook();
+    },
+    // нажатие inline-кнопки с callback_data = data
+    pressButton(chatId, data, from = chatId) {
+      updates.push({
+        update_id: updateId++,
+        callback_query: {
+          id: String(updateId),
+          from: { id: from, is_bot: false, first_name: 'Tester' },
+          message: {
+            message_id: messageId++,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+            text: '…',
+          },
+          chat_instance: String(chatId),
+          data,
+        },
+      });
+      pushWebhook();
+    },
+    get url() {
+      const { port } = server.address();
+      return `http://127.0.0.1:${port}`;
+    },
+    start() {
+      return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => resolve(this)),
+      );
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+};
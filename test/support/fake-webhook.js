@@ -0,0 +1,50 @@
+/**
+ * Приёмник HTTP-вебхуков для тестов: копит JSON-тела POST-запросов в `received`,
+ * умеет отвечать ошибкой заданное число раз.
+ */
+
+import http from 'node:http';
+
+export const createFakeWebhook = () => {
+  const received = [];
+  const faults = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => (raw += c));
+    req.on('end', () => {
+      const fault = faults.find((f) => f.times > 0);
+      if (fault) {
+        fault.times -= 1;
+        res.writeHead(fault.status, fault.headers).end();
+        return;
+      }
+      received.push({
+        path: req.url,
+        headers: req.headers,
+        body: JSON.parse(raw),
+      });
+      res.writeHead(204).end();
+    });
+  });
+
+  return {
+    received,
+    // следующие `times` запросов получат status
+    fail({ status = 500, times = 1, headers = {} } = {}) {
+      faults.push({ status, times, headers });
+    },
+    get url() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    start() {
+      return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => resolve(this)),
+      );
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+};
@@ -0,0 +1,188 @@
+/**
+ * Локальный стенд Ozon Seller API для e2e-тестов.
+ *
+ * Отдаёт /v3/product/list, /v3/product/info/list, /v2/product/info,
+ * /v4/product/info/attributes (а также цены и остатки) из фикстур.
+ * Умеет постраничную выдачу по last_id, сценарные ошибки и 429.
+ *
+ * Можно запустить и руками: node test/support/mock-ozon.js [fixtures.json] [port]
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (c) => (raw += c));
+    req.on('end', () => resolve(raw));
+  });
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Фикстура товара:
+// { offer_id, id, name, archived?, updated_at?, dims?: { depth, width, height,
+//   dimension_unit, weight, weight_unit }, attributes?, statuses?, errors?,
+//   price?, stocks? }
+const infoItem = (p) => ({
+  id: p.id,
+  offer_id: p.offer_id,
+  name: p.name,
+  updated_at: p.updated_at || '2025-01-01T00:00:00Z',
+  statuses: p.statuses || {},
+  errors: p.errors || [],
+  ...(p.dims || {}),
+});
+
+const attrsItem = (p) => ({
+  id: p.id,
+  offer_id: p.offer_id,
+  ...(p.dims || {}),
+  attributes: p.attributes || [],
+});
+
+export const createMockOzon = ({ products = [], pageSize = 1000 } = {}) => {
+  let catalog = structuredClone(products);
+  const faults = [];
+  const requests = [];
+
+  const byOfferIds = (ids) =>
+    ids?.length ? catalog.filter((p) => ids.includes(p.offer_id)) : catalog;
+
+  const routes = {
+    '/v3/product/list': (body) => {
+      const archived = body?.filter?.visibility === 'ARCHIVED';
+      const items = byOfferIds(body?.filter?.offer_id).filter(
+        (p) => !p.hidden && !!p.archived === archived,
+      );
+      const from = Number(body?.last_id || 0);
+      const size = Math.min(body?.limit || 1000, pageSize);
+      const page = items.slice(from, from + size);
+      const next = from + page.length;
+      return {
+        result: {
+          items: page.map((p) => ({
+            offer_id: p.offer_id,
+            product_id: p.id,
+            archived: !!p.archived,
+          })),
+          last_id: next < items.length ? String(next) : '',
+          total: items.length,
+        },
+      };
+    },
+    '/v3/product/info/list': (body) => ({
+      items: byOfferIds(body?.offer_id).map(infoItem),
+    }),
+    '/v2/product/info': (body) => ({
+      items: byOfferIds(body?.offer_id).map(infoItem),
+    }),
+    '/v4/product/info/attributes': (body) => {
+      const items = byOfferIds(body?.filter?.offer_id);
+      return { result: items.map(attrsItem), last_id: '', total: items.length };
+    },
+    '/v5/product/info/prices': (body) => ({
+      items: byOfferIds(body?.filter?.offer_id)
+        .filter((p) => p.price)
+        .map((p) => ({
+          offer_id: p.offer_id,
+          product_id: p.id,
+          price: p.price,
+        })),
+      cursor: '',
+    }),
+    '/v4/product/info/stocks': (body) => ({
+      items: byOfferIds(body?.filter?.offer_id)
+        .filter((p) => p.stocks)
+        .map((p) => ({
+          offer_id: p.offer_id,
+          product_id: p.id,
+          stocks: p.stocks,
+        })),
+      cursor: '',
+    }),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const raw = await readBody(req);
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch {
+      return send(res, 400, { code: 3, message: 'invalid json' });
+    }
+    requests.push({
+      path: req.url,
+      body,
+      clientId: req.headers['client-id'],
+      apiKey: req.headers['api-key'],
+    });
+
+    const fault = faults.find(
+      (f) => f.path === req.url && f.times > 0 && (!f.when || f.when(body)),
+    );
+    if (fault) {
+      fault.times -= 1;
+      return send(
+        res,
+        fault.status,
+        fault.body || { code: fault.status, message: 'mock fault' },
+        fault.headers,
+      );
+    }
+
+    const route = routes[req.url];
+    if (!route) return send(res, 404, { code: 5, message: 'not found' });
+    return send(res, 200, route(body));
+  });
+
+  return {
+    requests,
+    get url() {
+      const { port } = server.address();
+      return `http://127.0.0.1:${port}`;
+    },
+    setProducts(list) {
+      catalog = structuredClone(list);
+    },
+    updateProduct(offer_id, patch) {
+      const p = catalog.find((x) => x.offer_id === offer_id);
+      if (!p) throw new Error(`no fixture for ${offer_id}`);
+      // как у Ozon: правка карточки двигает updated_at
+      Object.assign(
+        p,
+        { updated_at: new Date().toISOString() },
+        structuredClone(patch),
+      );
+    },
+    // следующие `times` запросов к path вернут status (например 429 + Retry-After);
+    // when(body) — только запросы с подходящим телом (например, нужная страница)
+    fail(path, { status = 500, times = 1, headers = {}, body, when } = {}) {
+      faults.push({ path, status, times, headers, body, when });
+    },
+    callsTo(path) {
+      return requests.filter((r) => r.path === path).length;
+    },
+    start(port = 0) {
+      return new Promise((resolve) =>
+        server.listen(port, '127.0.0.1', () => resolve(this)),
+      );
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const [file, port = '8081'] = process.argv.slice(2);
+  const products = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  const mock = createMockOzon({ products });
+  await mock.start(Number(port));
+  console.log(`Mock Ozon Seller API: ${mock.url}`);
+}